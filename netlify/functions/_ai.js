@@ -0,0 +1,229 @@
+// netlify/functions/_ai.js
+import OpenAI from "openai";
+import crypto from "node:crypto";
+
+import { sanitizeString } from "./_utils.js";
+import { DEFAULT_SITE_SETTINGS } from "./_settings.js";
+
+/**
+ * AI assist: suggested DMs and reply drafts.
+ * Model selection:
+ * - AI_PROVIDER=stub      -> local deterministic stub (no network; for tests/dev)
+ * - OPENAI_API_KEY + OPENAI_MODEL -> OpenAI Responses API
+ * - neither               -> no model; callers use fallbackDm / fallbackReply
+ * `site` is the site settings (_settings.js): booking script and assistant background.
+ */
+
+export const AI_TONES = ["friendly", "professional", "warm", "playful", "concise"];
+export const AI_LENGTHS = { short: 300, medium: 550, long: 900 };
+const LENGTH_SENTENCES = { short: "1–2", medium: "2–4", long: "4–6" };
+const MAX_GENERATIONS = 30;
+
+function firstName(lead) {
+  return sanitizeString(lead?.name, 40).split(/\s+/)[0] || "there";
+}
+
+export function fallbackDm(name, site = DEFAULT_SITE_SETTINGS) {
+  const first = sanitizeString(name, 40) || "there";
+  return (
+    `Hi ${first} — thanks for reaching out. What style/length are you wanting, and what days/times work best? ` +
+    `
+
+${site.booking_script}`
+  );
+}
+
+export function normalizeAiOptions(raw) {
+  const r = raw && typeof raw === "object" ? raw : {};
+  const language = sanitizeString(r.language, 30);
+  return {
+    tone: AI_TONES.includes(r.tone) ? r.tone : "friendly",
+    length: Object.prototype.hasOwnProperty.call(AI_LENGTHS, r.length) ? r.length : "medium",
+    language: /^[\p{L} ()-]{2,30}$/u.test(language) ? language : "English",
+    ask_removal: Boolean(r.ask_removal),
+    ask_inspo: Boolean(r.ask_inspo),
+  };
+}
+
+/**
+ * Low-detail check (no model needed): what's missing to quote and book the lead.
+ * -> { low_detail, missing: [field], questions: [text] }
+ */
+export function assessLeadDetail(lead) {
+  const l = lead || {};
+  const notes = String(l.notes || "");
+  const checks = [
+    {
+      field: "service",
+      missing: !l.service || /not sure/i.test(l.service),
+      q: "Which service are you thinking — gel manicure, acrylic full set, fill, or nail art?",
+    },
+    {
+      field: "style",
+      missing: !l.style && notes.length < 20,
+      q: "What look are you going for? Inspo pics help a lot.",
+    },
+    {
+      field: "current_set",
+      missing: !/current set|removal|bare/i.test(notes),
+      q: "Do you have a set on right now, and will you need it removed?",
+    },
+    { field: "length", missing: !l.length, q: "What length do you want — short, medium or long?" },
+    {
+      field: "availability",
+      missing: !l.availability || /flexible|asap/i.test(l.availability),
+      q: "Which days and times usually work for you?",
+    },
+  ];
+  const missing = checks.filter((c) => c.missing);
+  return {
+    low_detail: missing.length >= 3,
+    missing: missing.map((c) => c.field),
+    questions: missing.map((c) => c.q).slice(0, 3),
+  };
+}
+
+function leadLines(lead) {
+  return [
+    `Name: ${lead.name || "N/A"}`,
+    `Instagram: ${lead.instagram || "N/A"}`,
+    `Phone: ${lead.phone || "N/A"}`,
+    `Service: ${lead.service || "N/A"}`,
+    `Style: ${lead.style || "N/A"}`,
+    `Length: ${lead.length || "N/A"}`,
+    `Availability: ${lead.availability || "N/A"}`,
+    `Notes: ${lead.notes || "N/A"}`,
+  ];
+}
+
+function baseInstructions(opts, site) {
+  return [
+    site.ai_instructions,
+    `Tone: ${opts.tone}.`,
+    `Write ${LENGTH_SENTENCES[opts.length]} sentences in ${opts.language}.`,
+    "No emojis.",
+    "Do not mention pricing.",
+    `Keep under ${AI_LENGTHS[opts.length]} characters.`,
+    "Return only the message text.",
+  ];
+}
+
+/**
+ * Prompt builders. Each returns { kind, instructions, input, context } where
+ * context is what the stub model uses instead of reading the prompt.
+ */
+export function buildDmPrompt(lead, opts, detail, site = DEFAULT_SITE_SETTINGS) {
+  const asks = [];
+  if (opts.ask_removal) asks.push("Ask whether they currently have a set on that needs removal.");
+  if (opts.ask_inspo) asks.push("Ask them to send inspo pictures.");
+  if (detail.low_detail) asks.push(`Ask one or two of these: ${detail.questions.join(" ")}`);
+  return {
+    kind: "dm",
+    instructions: [
+      ...baseInstructions(opts, site),
+      "Write an Instagram DM replying to a new booking request.",
+      "Explain the clinic-only booking constraint and give a clear next step.",
+      ...asks,
+      "Include this official booking method verbatim: " + site.booking_script,
+    ].join(" "),
+    input: ["Lead details:", ...leadLines(lead)].join("\n"),
+    context: { lead, opts, detail, booking_script: site.booking_script },
+  };
+}
+
+export function buildReplyPrompt(record, opts, detail, site = DEFAULT_SITE_SETTINGS) {
+  const lead = record.lead || {};
+  const thread = (record.messages || [])
+    .slice(-10)
+    .map((m) => `${m.direction === "in" ? "Client" : "Ashlee"} (${m.at}): ${m.body}`);
+  const lastIn = [...(record.messages || [])].reverse().find((m) => m.direction === "in");
+  return {
+    kind: "reply",
+    instructions: [
+      ...baseInstructions(opts, site),
+      "Draft Ashlee's next reply in this conversation.",
+      "Answer the client's latest message directly; if there is none, write a polite follow-up.",
+      "If they are ready to book, give the booking method: " + site.booking_script,
+      detail.low_detail ? `If natural, ask one of: ${detail.questions.join(" ")}` : "",
+    ]
+      .filter(Boolean)
+      .join(" "),
+    input: [
+      "Lead details:",
+      ...leadLines(lead),
+      `Internal notes: ${record.internal_notes || "N/A"}`,
+      "Conversation (oldest first):",
+      ...(thread.length ? thread : ["(no messages yet)"]),
+    ].join("\n"),
+    context: { lead, opts, detail, last_in: lastIn?.body || "", booking_script: site.booking_script },
+  };
+}
+
+export function fallbackReply(record, detail, site = DEFAULT_SITE_SETTINGS) {
+  const first = firstName(record.lead);
+  const ask = detail.questions[0] ? ` ${detail.questions[0]}` : "";
+  return `Hi ${first} — thanks for getting back to me!${ask}\n\n${site.booking_script}`;
+}
+
+/**
+ * Local stub: deterministic text built from the prompt context.
+ */
+function stubComplete(prompt) {
+  const { lead, opts, detail, last_in, booking_script } = prompt.context;
+  const first = firstName(lead);
+  const parts = [`[stub ${prompt.kind} ${opts.tone}/${opts.length}/${opts.language}]`, `Hi ${first} —`];
+  if (prompt.kind === "reply") parts.push(last_in ? `re: "${last_in.slice(0, 60)}".` : "just following up.");
+  else parts.push(`thanks for asking about ${lead.service || "your nails"}.`);
+  if (opts.ask_removal) parts.push("Do you have a set on that needs removal?");
+  if (opts.ask_inspo) parts.push("Feel free to send inspo pics!");
+  if (detail.low_detail) parts.push(detail.questions[0]);
+  parts.push(booking_script);
+  return parts.join(" ");
+}
+
+export function aiModelName() {
+  if (process.env.AI_PROVIDER === "stub") return "stub";
+  const model = process.env.OPENAI_MODEL;
+  return process.env.OPENAI_API_KEY && model ? `openai:${model}` : "";
+}
+
+/**
+ * -> generated text ("" when no model is configured)
+ */
+export async function completeText(prompt, maxChars = 550) {
+  const name = aiModelName();
+  if (!name) return "";
+  let text;
+  if (name === "stub") {
+    text = stubComplete(prompt);
+  } else {
+    const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+    const resp = await openai.responses.create({
+      model: process.env.OPENAI_MODEL,
+      instructions: prompt.instructions,
+      input: prompt.input,
+    });
+    text = resp.output_text || "";
+  }
+  text = String(text).trim();
+  return text.length > maxChars ? text.slice(0, maxChars) : text;
+}
+
+// leads-create: one call at intake, fixed options (kept short for the alert SMS)
+export async function generateSuggestedDm(lead, site = DEFAULT_SITE_SETTINGS) {
+  const opts = normalizeAiOptions({});
+  return await completeText(buildDmPrompt(lead, opts, { low_detail: false, questions: [] }, site), AI_LENGTHS.medium);
+}
+
+/**
+ * Generation log on the lead: record.ai_generations (newest last, capped)
+ */
+export function logGeneration(record, entry) {
+  const gen = {
+    id: crypto.randomUUID(),
+    at: new Date().toISOString(),
+    ...entry,
+  };
+  record.ai_generations = [...(record.ai_generations || []), gen].slice(-MAX_GENERATIONS);
+  return gen;
+}
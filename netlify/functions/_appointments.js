@@ -0,0 +1,159 @@
+// netlify/functions/_appointments.js
+import crypto from "node:crypto";
+
+import { sanitizeString } from "./_utils.js";
+
+/**
+ * Appointment times are entered in the clinic's local time (Logan, UT).
+ */
+export function businessTz() {
+  return process.env.BUSINESS_TZ || "America/Denver";
+}
+
+function tzOffsetMs(date, tz) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone: tz,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  }).formatToParts(date);
+  const m = Object.fromEntries(parts.map((p) => [p.type, p.value]));
+  const asUtc = Date.UTC(+m.year, +m.month - 1, +m.day, +m.hour, +m.minute, +m.second);
+  return asUtc - date.getTime();
+}
+
+// Local wall-clock date/time in tz -> UTC Date (second pass settles DST edges)
+export function zonedTimeToUtc(date, time, tz = businessTz()) {
+  const [y, mo, d] = date.split("-").map(Number);
+  const [h, mi] = time.split(":").map(Number);
+  const guess = Date.UTC(y, mo - 1, d, h, mi);
+  const off1 = tzOffsetMs(new Date(guess), tz);
+  let ts = guess - off1;
+  const off2 = tzOffsetMs(new Date(ts), tz);
+  if (off2 !== off1) ts = guess - off2;
+  return new Date(ts);
+}
+
+/**
+ * Validate the appointment sub-object on a lead:
+ * { date: "YYYY-MM-DD", time: "HH:MM", duration_min, service, confirmation, start_at }
+ */
+export function normalizeAppointment(raw) {
+  if (!raw || typeof raw !== "object") return { ok: false, error: "Invalid appointment" };
+
+  const date = sanitizeString(raw.date, 10);
+  const time = sanitizeString(raw.time, 5);
+  // Round-trip through Date to reject rollovers like 2027-02-30
+  const day = /^\d{4}-\d{2}-\d{2}$/.test(date) ? new Date(`${date}T00:00:00Z`) : null;
+  if (!day || Number.isNaN(day.getTime()) || day.toISOString().slice(0, 10) !== date) {
+    return { ok: false, error: "Invalid appointment date (YYYY-MM-DD)" };
+  }
+  if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(time)) {
+    return { ok: false, error: "Invalid appointment time (HH:MM)" };
+  }
+
+  const duration = raw.duration_min == null || raw.duration_min === "" ? 90 : Number(raw.duration_min);
+  if (!Number.isInteger(duration) || duration < 15 || duration > 480) {
+    return { ok: false, error: "Invalid appointment duration (15–480 minutes)" };
+  }
+
+  return {
+    ok: true,
+    appointment: {
+      date,
+      time,
+      duration_min: duration,
+      service: sanitizeString(raw.service, 100),
+      confirmation: sanitizeString(raw.confirmation, 60),
+      start_at: zonedTimeToUtc(date, time).toISOString(),
+    },
+  };
+}
+
+export function appointmentEnd(appointment) {
+  const start = Date.parse(appointment?.start_at || "");
+  if (!Number.isFinite(start)) return null;
+  return new Date(start + Number(appointment.duration_min || 0) * 60000);
+}
+
+/**
+ * Calendar feed token (CALENDAR_FEED_TOKEN); constant-time compare
+ */
+export function checkFeedToken(token) {
+  const expected = process.env.CALENDAR_FEED_TOKEN || "";
+  const got = String(token || "");
+  if (!expected || got.length !== expected.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(got), Buffer.from(expected));
+}
+
+/**
+ * iCalendar (RFC 5545) helpers
+ */
+function icsText(v) {
+  return String(v || "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+function icsDate(d) {
+  return d.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+function foldLine(line) {
+  const out = [];
+  let rest = line;
+  while (rest.length > 74) {
+    out.push(rest.slice(0, 74));
+    rest = " " + rest.slice(74);
+  }
+  out.push(rest);
+  return out.join("\r\n");
+}
+
+export function buildIcs(records, { calName = "Ashlee Nails — Appointments", location = "" } = {}) {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Ashlee Nails//Leads//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${icsText(calName)}`,
+  ];
+
+  for (const r of records) {
+    const appt = r?.appointment;
+    const end = appointmentEnd(appt);
+    if (!appt || !end) continue;
+
+    const lead = r.lead || {};
+    const summary = `Nails: ${lead.name || "Client"}${appt.service ? ` — ${appt.service}` : ""}`;
+    const desc = [
+      lead.phone ? `Phone: ${lead.phone}` : "",
+      lead.instagram ? `IG: ${lead.instagram}` : "",
+      appt.confirmation ? `Clinic confirmation: ${appt.confirmation}` : "",
+      `Status: ${r.status || "new"}`,
+    ].filter(Boolean).join("\n");
+
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${String(r.id).replace(/^leads\//, "")}@ashlee-nails`,
+      `DTSTAMP:${icsDate(new Date(r.updated_at || Date.now()))}`,
+      `DTSTART:${icsDate(new Date(appt.start_at))}`,
+      `DTEND:${icsDate(end)}`,
+      `SUMMARY:${icsText(summary)}`,
+      `DESCRIPTION:${icsText(desc)}`,
+      location ? `LOCATION:${icsText(location)}` : "",
+      "STATUS:CONFIRMED",
+      "END:VEVENT"
+    );
+  }
+
+  lines.push("END:VCALENDAR");
+  return lines.filter(Boolean).map(foldLine).join("\r\n") + "\r\n";
+}
@@ -0,0 +1,137 @@
+// netlify/functions/_availability.js
+
+/**
+ * Free-text availability ("Thu after 4, Sat morning") -> day/time windows, computed on
+ * every saveLead and kept on the record:
+ *   record.availability_windows = { windows: [{ days: [0–6, Sun = 0], from: "HH:MM", to: "HH:MM" }], flexible }
+ * Each comma / semicolon / "or" / slash separated part is one window. Qualifiers are shared
+ * across parts: days with no time take the time of the next part that has one ("Tuesday or
+ * Thursday evenings"), and times with no days take the days of the part before ("Tue 9-11
+ * or 2-4"). A lone time covers every day; lone days cover clinic hours. Bare hours without
+ * am/pm read as clinic hours (1–7 -> pm); noon and midnight are understood. Calendar dates
+ * ("3/15") are ignored rather than read as times. Anything unrecognised is ignored, so windows
+ * can be empty while the text is not (open-slot matching treats that as "check with them").
+ */
+const DAY_START = 8 * 60;
+const DAY_END = 21 * 60;
+
+const PARTS_OF_DAY = {
+  morning: [8 * 60, 12 * 60],
+  afternoon: [12 * 60, 17 * 60],
+  evening: [17 * 60, DAY_END],
+  night: [17 * 60, DAY_END],
+};
+
+const DAY_WORD_RE =
+  /\b(sun(?:day)?|mon(?:day)?|tue(?:s(?:day)?)?|wed(?:nesday)?|thu(?:r(?:s(?:day)?)?)?|fri(?:day)?|sat(?:urday)?)s?\b/gi;
+const DAY_RANGE_RE = new RegExp(`${DAY_WORD_RE.source}\\s*(?:-|–|to|through|thru)\\s*${DAY_WORD_RE.source}`, "gi");
+const HOUR = "(\\d{1,2})(?::(\\d{2}))?\\s*(am|pm|a|p)?";
+const TIME_RANGE_RE = new RegExp(`\\b${HOUR}\\s*(?:-|–|to|until|till)\\s*${HOUR}\\b`, "i");
+const AFTER_RE = new RegExp(`\\b(?:after|from|past|at|around)\\s+${HOUR}\\b`, "i");
+const BEFORE_RE = new RegExp(`\\b(?:before|until|till|by)\\s+${HOUR}\\b`, "i");
+const CLOCK_RE = /\b(\d{1,2})(?::(\d{2}))?\s*(am|pm)\b/i;
+const DATE_RE = /\b\d{1,2}\/\d{1,2}(?:\/\d{2,4})?\b/g;
+// Slashes between words separate parts ("Mon/Wed"); slashes inside dates were removed first
+const PART_SPLIT_RE = /[,;\n/]|\bor\b/i;
+const FLEXIBLE_RE = /any ?time|any ?day|flexible|whenever|wide open|\basap\b|open schedule/i;
+
+const DAY_INDEX = { sun: 0, mon: 1, tue: 2, wed: 3, thu: 4, fri: 5, sat: 6 };
+const ALL_DAYS = [0, 1, 2, 3, 4, 5, 6];
+
+function dayIndex(word) {
+  return DAY_INDEX[String(word).slice(0, 3).toLowerCase()];
+}
+
+// Hour + minutes + am/pm -> minutes after midnight; bare 1–7 are afternoons
+function toMinutes(h, m, ampm) {
+  let hour = Number(h);
+  const min = Number(m || 0);
+  if (!Number.isInteger(hour) || hour > 23 || min > 59) return null;
+  const suffix = String(ampm || "").toLowerCase()[0] || "";
+  if (suffix === "p" && hour < 12) hour += 12;
+  else if (suffix === "a" && hour === 12) hour = 0;
+  else if (!suffix && hour >= 1 && hour <= 7) hour += 12;
+  return hour * 60 + min;
+}
+
+function hhmm(minutes) {
+  const m = Math.max(0, Math.min(24 * 60 - 1, minutes));
+  return `${String(Math.floor(m / 60)).padStart(2, "0")}:${String(m % 60).padStart(2, "0")}`;
+}
+
+function daysIn(part) {
+  const days = new Set();
+  if (/week ?days?\b/i.test(part)) [1, 2, 3, 4, 5].forEach((d) => days.add(d));
+  if (/week ?ends?\b/i.test(part)) [0, 6].forEach((d) => days.add(d));
+  if (/every ?day|daily|any ?day/i.test(part)) ALL_DAYS.forEach((d) => days.add(d));
+  const rest = part.replace(DAY_RANGE_RE, (...m) => {
+    const from = dayIndex(m[1]);
+    const to = dayIndex(m[2]);
+    for (let d = from; ; d = (d + 1) % 7) {
+      days.add(d);
+      if (d === to) break;
+    }
+    return " ";
+  });
+  for (const m of rest.matchAll(DAY_WORD_RE)) days.add(dayIndex(m[1]));
+  return Array.from(days).sort((a, b) => a - b);
+}
+
+// -> [from, to] minutes, or null when the part names no time
+function timesIn(part) {
+  let m = part.match(TIME_RANGE_RE);
+  if (m) {
+    // "4-6pm": the end's am/pm applies to the start too
+    const from = toMinutes(m[1], m[2], m[3] || m[6]);
+    const to = toMinutes(m[4], m[5], m[6]);
+    if (from != null && to != null && to > from) return [from, to];
+  }
+  m = part.match(BEFORE_RE);
+  if (m) {
+    const to = toMinutes(m[1], m[2], m[3]);
+    if (to != null && to > DAY_START) return [DAY_START, to];
+  }
+  m = part.match(AFTER_RE) || part.match(CLOCK_RE);
+  if (m) {
+    const from = toMinutes(m[1], m[2], m[3]);
+    if (from != null && from < DAY_END) return [from, DAY_END];
+  }
+  const spans = Object.entries(PARTS_OF_DAY).filter(([word]) => new RegExp(`\\b${word}s?\\b`, "i").test(part));
+  if (spans.length) return [Math.min(...spans.map(([, s]) => s[0])), Math.max(...spans.map(([, s]) => s[1]))];
+  if (/after (work|school|class)/i.test(part)) return PARTS_OF_DAY.evening;
+  return null;
+}
+
+export function parseAvailability(text) {
+  const raw = String(text || "").slice(0, 300);
+  const cleaned = raw
+    .replace(DATE_RE, " ")
+    .replace(/\bnoon\b/gi, "12pm")
+    .replace(/\bmidnight\b/gi, "11:59pm");
+  const parts = cleaned
+    .split(PART_SPLIT_RE)
+    .map((part) => ({ days: daysIn(part), span: timesIn(part) }))
+    .filter((p) => p.days.length || p.span);
+
+  // Shared qualifiers: days-only parts borrow the next time, times-only parts the previous days
+  for (let i = parts.length - 2; i >= 0; i--) {
+    if (!parts[i].span && parts[i + 1].span) parts[i].span = parts[i + 1].span;
+  }
+  for (let i = 1; i < parts.length; i++) {
+    if (!parts[i].days.length && parts[i - 1].days.length) parts[i].days = parts[i - 1].days;
+  }
+
+  const windows = parts.map(({ days, span }) => ({
+    days: days.length ? days : ALL_DAYS,
+    from: hhmm(span ? span[0] : DAY_START),
+    to: hhmm(span ? span[1] : DAY_END),
+  }));
+  return { windows: windows.slice(0, 14), flexible: FLEXIBLE_RE.test(raw) };
+}
+
+/**
+ * Does a slot starting on `day` (0–6) at `time` ("HH:MM") fall inside any window?
+ */
+export function fitsWindows(windows, day, time) {
+  return (windows || []).some((w) => w.days.includes(day) && time >= w.from && time < w.to);
+}
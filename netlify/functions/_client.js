@@ -0,0 +1,104 @@
+// netlify/functions/_client.js
+import crypto from "node:crypto";
+
+import { assertLeadKey } from "./_utils.js";
+import { businessTz } from "./_appointments.js";
+
+/**
+ * Client self-service access.
+ * Token = base64url(lead id) + "." + random secret; only a hash of the secret is
+ * kept on the lead (record.client_access), so a leaked record can't be used to
+ * forge links. Expires after CLIENT_TOKEN_DAYS (default 90).
+ */
+function hashSecret(secret) {
+  return crypto.createHash("sha256").update(String(secret)).digest("hex");
+}
+
+function tokenTtlMs() {
+  const days = Math.max(1, Number(process.env.CLIENT_TOKEN_DAYS || "90") || 90);
+  return days * 24 * 60 * 60 * 1000;
+}
+
+export function issueClientToken(record, now = new Date()) {
+  const secret = crypto.randomBytes(24).toString("base64url");
+  record.client_access = {
+    token_hash: hashSecret(secret),
+    expires_at: new Date(now.getTime() + tokenTtlMs()).toISOString(),
+  };
+  return `${Buffer.from(record.id, "utf8").toString("base64url")}.${secret}`;
+}
+
+// -> lead id from the token (format only; the secret is checked against the record)
+export function leadIdFromClientToken(token) {
+  const [idPart, secret] = String(token || "").split(".");
+  if (!idPart || !secret) return "";
+  try {
+    const id = Buffer.from(idPart, "base64url").toString("utf8");
+    return assertLeadKey(id) ? id : "";
+  } catch {
+    return "";
+  }
+}
+
+export function checkClientToken(record, token, now = new Date()) {
+  const ca = record?.client_access;
+  const secret = String(token || "").split(".")[1];
+  if (!ca?.token_hash || !secret) return false;
+  if (Date.parse(ca.expires_at || "") < now.getTime()) return false;
+  const a = Buffer.from(ca.token_hash);
+  const b = Buffer.from(hashSecret(secret));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * What the client sees. Internal notes, tags, spam flags etc. never leave the server.
+ * stage: received | contacted | booked | withdrawn | closed
+ */
+export function clientStage(record) {
+  if (record.withdrawn_at) return "withdrawn";
+  const status = String(record.status || "new");
+  if (status === "booked") return "booked";
+  if (status === "contacted") return "contacted";
+  if (status === "closed" || status === "noshow") return "closed";
+  return "received";
+}
+
+const STAGE_LABELS = {
+  received: "Request received",
+  contacted: "Ashlee reached out",
+  booked: "Booked",
+  withdrawn: "Withdrawn",
+  closed: "Closed",
+};
+
+function formatAppointmentForClient(appt) {
+  if (!appt?.start_at) return null;
+  const when = new Intl.DateTimeFormat("en-US", {
+    timeZone: businessTz(),
+    weekday: "long",
+    month: "long",
+    day: "numeric",
+    hour: "numeric",
+    minute: "2-digit",
+  }).format(new Date(appt.start_at));
+  return { start_at: appt.start_at, when, duration_min: appt.duration_min || null, service: appt.service || "" };
+}
+
+export function clientView(record) {
+  const stage = clientStage(record);
+  const lead = record.lead || {};
+  return {
+    stage,
+    stage_label: STAGE_LABELS[stage],
+    can_edit: stage === "received" || stage === "contacted",
+    created_at: record.created_at,
+    updated_at: record.updated_at,
+    name: String(lead.name || "").split(/\s+/)[0] || "",
+    service: lead.service || "",
+    availability: lead.availability || "",
+    notes: lead.notes || "",
+    client_notes: (record.client_notes || []).map((n) => ({ at: n.at, text: n.text })),
+    appointment: stage === "booked" ? formatAppointmentForClient(record.appointment) : null,
+    photos: (record.photos || []).length,
+  };
+}
@@ -0,0 +1,309 @@
+// netlify/functions/_clients.js
+import crypto from "node:crypto";
+
+import {
+  sanitizeString,
+  normalizePhone,
+  normalizeInstagram,
+  mapLimit,
+  readIndex,
+  rebuildIndex,
+  writeIndexEntry,
+  removeIndexEntry,
+} from "./_utils.js";
+import { normalizeEmail } from "./_mail.js";
+import { businessTz } from "./_appointments.js";
+
+/**
+ * Client records: one per person, outliving the one-off lead submissions.
+ *   clients/<uuid>           -> client (below)
+ *   client-keys/<contact>    -> { id } for p_<digits>, ig_<handle>, em_<email>
+ *   client-index/            -> summaries for listing without reading every client (sharded
+ *                               like the lead index, see readIndex in _utils.js)
+ *
+ * client = { id, created_at, updated_at, rev, name, phone, instagram, email,
+ *            preferences: { shape, length, allergies, notes },
+ *            fill_interval_days, next_fill_due (YYYY-MM-DD, business tz),
+ *            visits: [{ id, date, service, notes, lead_id?, by }]  (oldest first),
+ *            lead_ids: [] }
+ *
+ * A client is created (or found by contact) when a lead is booked; its appointment
+ * becomes a visit. New submissions from a known contact get record.client_id.
+ */
+export const CLIENT_PREFIX = "clients/";
+const LEGACY_INDEX_KEY = "clients-index";
+export const CLIENT_INDEX = {
+  prefix: "client-index/",
+  marker: "config/client-index",
+  rebuild: (store) => rebuildClientIndex(store),
+};
+const KEY_PREFIX = "client-keys/";
+export const DEFAULT_FILL_DAYS = 21;
+export const DUE_SOON_DAYS = 3;
+const MAX_VISITS = 200;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const CLIENT_ID_RE = /^clients\/[0-9a-f-]{36}$/;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+export function isClientId(id) {
+  return CLIENT_ID_RE.test(String(id || ""));
+}
+
+// Business-timezone calendar date for an instant
+export function localDate(at = new Date()) {
+  return new Intl.DateTimeFormat("en-CA", { timeZone: businessTz() }).format(new Date(at));
+}
+
+function addDays(date, days) {
+  const d = new Date(`${date}T00:00:00Z`);
+  return new Date(d.getTime() + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+function isValidDate(date) {
+  if (!DATE_RE.test(date)) return false;
+  const d = new Date(`${date}T00:00:00Z`);
+  return !Number.isNaN(d.getTime()) && d.toISOString().slice(0, 10) === date;
+}
+
+export function clientKeysFor({ phone, instagram, email } = {}) {
+  const keys = [];
+  const digits = String(normalizePhone(phone) || "").replace(/\D/g, "");
+  if (digits) keys.push(`${KEY_PREFIX}p_${digits}`);
+  const ig = normalizeInstagram(instagram).replace(/^@/, "").toLowerCase().replace(/[^a-z0-9._]/g, "_");
+  if (ig) keys.push(`${KEY_PREFIX}ig_${ig}`);
+  const em = String(normalizeEmail(email) || "").replace(/[^a-z0-9._@-]/g, "_");
+  if (em) keys.push(`${KEY_PREFIX}em_${em}`);
+  return keys;
+}
+
+// Every client any of the contact's phone / IG / email points at (normally zero or one)
+export async function findClientsByContact(store, contact) {
+  const found = new Map();
+  for (const key of clientKeysFor(contact)) {
+    const ptr = await store.get(key, { type: "json" }).catch(() => null);
+    if (!isClientId(ptr?.id) || found.has(ptr.id)) continue;
+    const client = await store.get(ptr.id, { type: "json" }).catch(() => null);
+    if (client) found.set(client.id, client);
+  }
+  return Array.from(found.values());
+}
+
+export async function findClientByContact(store, contact) {
+  return (await findClientsByContact(store, contact))[0] || null;
+}
+
+export function normalizePreferences(raw, current = {}) {
+  const r = raw && typeof raw === "object" ? raw : {};
+  const pick = (field, max) => (r[field] != null ? sanitizeString(r[field], max) : current[field] || "");
+  return {
+    shape: pick("shape", 40),
+    length: pick("length", 40),
+    allergies: pick("allergies", 300),
+    notes: pick("notes", 1000),
+  };
+}
+
+// -> { ok, visit } | { ok: false, error }
+export function normalizeVisit(raw, by) {
+  const r = raw && typeof raw === "object" ? raw : {};
+  const date = sanitizeString(r.date, 10);
+  if (!isValidDate(date)) return { ok: false, error: "Invalid visit date (YYYY-MM-DD)" };
+  return {
+    ok: true,
+    visit: {
+      id: crypto.randomUUID(),
+      date,
+      service: sanitizeString(r.service, 100),
+      notes: sanitizeString(r.notes, 500),
+      by: by || "",
+    },
+  };
+}
+
+export function lastVisitDate(client) {
+  return (client.visits || []).reduce((max, v) => (v.date > max ? v.date : max), "");
+}
+
+// Fill is due fill_interval_days after the latest visit (past or booked)
+export function nextFillDue(client) {
+  const last = lastVisitDate(client);
+  return last ? addDays(last, Number(client.fill_interval_days) || DEFAULT_FILL_DAYS) : "";
+}
+
+/**
+ * -> "overdue" | "due" (within DUE_SOON_DAYS) | "" for a client or summary
+ */
+export function fillState(client, today = localDate()) {
+  const due = client?.next_fill_due || "";
+  if (!due) return "";
+  if (due < today) return "overdue";
+  return due <= addDays(today, DUE_SOON_DAYS) ? "due" : "";
+}
+
+export function clientSummary(client) {
+  return {
+    id: client.id,
+    rev: Number(client.rev || 0),
+    name: client.name || "",
+    phone: client.phone || "",
+    instagram: client.instagram || "",
+    email: client.email || "",
+    visits: (client.visits || []).length,
+    last_visit: lastVisitDate(client),
+    next_fill_due: client.next_fill_due || "",
+    lead_count: (client.lead_ids || []).length,
+    updated_at: client.updated_at || "",
+  };
+}
+
+export async function readClientIndex(store) {
+  const items = await readIndex(store, CLIENT_INDEX);
+  return items.filter((c) => isClientId(c.id)).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Rebuilds the client index from the client records (dropping the old single-blob index)
+ */
+export async function rebuildClientIndex(store) {
+  const built = await rebuildIndex(store, CLIENT_INDEX, async () => {
+    const { blobs } = await store.list({ prefix: CLIENT_PREFIX });
+    const clients = await mapLimit(blobs.map((b) => b.key), 20, (key) => store.get(key, { type: "json" }).catch(() => null));
+    return clients.filter((c) => isClientId(c?.id)).map(clientSummary);
+  });
+  await store.delete(LEGACY_INDEX_KEY).catch(() => {});
+  return built;
+}
+
+/**
+ * Writes the client, its contact pointers and its index row. `previous` (the stored
+ * version, if any) lets pointers for a changed phone/IG/email be dropped.
+ */
+export async function saveClient(store, client, previous = null) {
+  client.rev = Number(client.rev || 0) + 1;
+  client.updated_at = new Date().toISOString();
+  client.visits = (client.visits || []).sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0)).slice(-MAX_VISITS);
+  client.next_fill_due = nextFillDue(client);
+  await store.setJSON(client.id, client);
+
+  const keys = clientKeysFor(client);
+  for (const key of keys) await store.setJSON(key, { id: client.id });
+  if (previous) {
+    for (const key of clientKeysFor(previous)) {
+      if (keys.includes(key)) continue;
+      const ptr = await store.get(key, { type: "json" }).catch(() => null);
+      if (ptr?.id === client.id) await store.delete(key).catch(() => {});
+    }
+  }
+
+  try {
+    await writeIndexEntry(store, CLIENT_INDEX, clientSummary(client));
+  } catch {
+    // best effort; clients still load by id
+  }
+  return client;
+}
+
+export async function deleteClient(store, client) {
+  await store.delete(client.id);
+  for (const key of clientKeysFor(client)) {
+    const ptr = await store.get(key, { type: "json" }).catch(() => null);
+    if (ptr?.id === client.id) await store.delete(key).catch(() => {});
+  }
+  await removeIndexEntry(store, CLIENT_INDEX, client.id).catch(() => {});
+}
+
+function newClientFromLead(record) {
+  const lead = record.lead || {};
+  const now = new Date().toISOString();
+  return {
+    id: `${CLIENT_PREFIX}${crypto.randomUUID()}`,
+    created_at: now,
+    updated_at: now,
+    rev: 0,
+    name: lead.name || "",
+    phone: lead.phone || "",
+    instagram: lead.instagram || "",
+    email: lead.email || "",
+    preferences: normalizePreferences({ length: lead.length }),
+    fill_interval_days: DEFAULT_FILL_DAYS,
+    next_fill_due: "",
+    visits: [],
+    lead_ids: [],
+  };
+}
+
+/**
+ * Booked lead -> client: finds the client by contact (or creates one), fills in missing
+ * contact details, links the lead and keeps one visit per lead in step with its appointment.
+ * Sets record.client_id; the caller saves the lead. -> client
+ */
+export async function upsertClientFromLead(store, record, by = "") {
+  const lead = record.lead || {};
+  const found = (isClientId(record.client_id) && (await store.get(record.client_id, { type: "json" }).catch(() => null)))
+    || (await findClientByContact(store, lead));
+  const previous = found ? { ...found } : null;
+  const client = found || newClientFromLead(record);
+
+  for (const field of ["phone", "instagram", "email"]) {
+    if (!client[field] && lead[field]) client[field] = lead[field];
+  }
+  client.lead_ids = Array.from(new Set([...(client.lead_ids || []), record.id])).slice(-100);
+
+  if (record.appointment?.start_at) {
+    const date = localDate(record.appointment.start_at);
+    const visits = client.visits || [];
+    const existing = visits.find((v) => v.lead_id === record.id);
+    if (existing) {
+      existing.date = date;
+      existing.service = record.appointment.service || existing.service;
+    } else {
+      visits.push({
+        id: crypto.randomUUID(),
+        date,
+        service: record.appointment.service || lead.service || "",
+        notes: "",
+        lead_id: record.id,
+        by,
+      });
+    }
+    client.visits = visits;
+  }
+
+  await saveClient(store, client, previous);
+  record.client_id = client.id;
+  return client;
+}
+
+/**
+ * leads-update / leads-batch hook: keep the client in step while a lead is booked
+ * (newly booked, or its appointment moved). Never throws; the lead save matters more.
+ */
+export async function syncClientForLead(store, before, after, by) {
+  if (after.status !== "booked") return null;
+  const moved = (before.appointment?.start_at || "") !== (after.appointment?.start_at || "");
+  if (before.status === "booked" && !moved && after.client_id) return null;
+  try {
+    return await upsertClientFromLead(store, after, by);
+  } catch (e) {
+    console.error("clients: sync failed", e?.message || e);
+    return null;
+  }
+}
+
+/**
+ * leads-create hook: a new submission from a known contact is linked to the client.
+ * Sets record.client_id before the lead is saved; the client is saved with the new lead id.
+ */
+export async function linkNewLeadToClient(store, record) {
+  try {
+    const client = await findClientByContact(store, record.lead || {});
+    if (!client) return null;
+    record.client_id = client.id;
+    client.lead_ids = Array.from(new Set([...(client.lead_ids || []), record.id])).slice(-100);
+    await saveClient(store, client);
+    return client;
+  } catch {
+    return null;
+  }
+}
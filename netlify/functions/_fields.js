@@ -0,0 +1,224 @@
+// netlify/functions/_fields.js
+import { sanitizeString } from "./_utils.js";
+
+/**
+ * Shared lead vocabulary (edited from admin via lead-tags / lead-fields).
+ *
+ * Tag catalog: config/tags -> { tags: [{ name, color, aliases: [] }] }
+ *   Tags that match a catalog name or alias (any case) are stored under the catalog
+ *   name; anything else is kept as typed, deduped case-insensitively.
+ *
+ * Custom fields: config/custom-fields -> { fields: [{
+ *     key, label, type: "text" | "number" | "select" | "multiselect" | "boolean" | "date",
+ *     options?,      // select / multiselect
+ *     min?, max?,    // number bounds; text max length
+ * }] }
+ *   Values live on record.custom = { <key>: value }; empty values are dropped.
+ */
+export const TAG_CATALOG_KEY = "config/tags";
+export const CUSTOM_FIELDS_KEY = "config/custom-fields";
+
+export const FIELD_TYPES = ["text", "number", "select", "multiselect", "boolean", "date"];
+export const DEFAULT_TAG_COLOR = "#8a8f98";
+
+const MAX_CATALOG_TAGS = 100;
+const MAX_FIELDS = 30;
+const KEY_RE = /^[a-z][a-z0-9_]{0,29}$/;
+const COLOR_RE = /^#[0-9a-f]{6}$/i;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+const lower = (s) => String(s || "").toLowerCase();
+
+/**
+ * -> { ok, tags } | { ok: false, errors }
+ */
+export function normalizeTagCatalog(raw) {
+  const list = Array.isArray(raw) ? raw : [];
+  if (list.length > MAX_CATALOG_TAGS) return { ok: false, errors: [`At most ${MAX_CATALOG_TAGS} catalog tags`] };
+
+  const errors = [];
+  const owner = new Map(); // lowercased name/alias -> catalog name
+  const tags = [];
+  for (const t of list) {
+    const name = sanitizeString(t?.name, 40);
+    if (!name) {
+      errors.push("Every catalog tag needs a name");
+      continue;
+    }
+    const color = COLOR_RE.test(String(t?.color || "")) ? String(t.color).toLowerCase() : DEFAULT_TAG_COLOR;
+    const aliases = (Array.isArray(t?.aliases) ? t.aliases : [])
+      .map((a) => sanitizeString(a, 40))
+      .filter((a) => a && lower(a) !== lower(name))
+      .slice(0, 20);
+
+    for (const word of [name, ...aliases]) {
+      const prev = owner.get(lower(word));
+      if (prev && prev !== name) errors.push(`"${word}" is used by both "${prev}" and "${name}"`);
+      else if (prev && word === name) errors.push(`Duplicate tag "${name}"`);
+      owner.set(lower(word), name);
+    }
+    tags.push({ name, color, aliases: Array.from(new Set(aliases.map(lower))) });
+  }
+  return errors.length ? { ok: false, errors } : { ok: true, tags };
+}
+
+export async function getTagCatalog(store) {
+  const raw = await store.get(TAG_CATALOG_KEY, { type: "json" }).catch(() => null);
+  const checked = normalizeTagCatalog(raw?.tags);
+  return checked.ok ? checked.tags : [];
+}
+
+// Catalog spelling for each tag, first occurrence wins on case-insensitive duplicates
+export function canonicalTags(tags, catalog = []) {
+  const lookup = new Map();
+  for (const t of catalog) {
+    lookup.set(lower(t.name), t.name);
+    for (const a of t.aliases || []) lookup.set(lower(a), t.name);
+  }
+  const out = [];
+  const seen = new Set();
+  for (const t of tags || []) {
+    const name = lookup.get(lower(t)) || t;
+    if (seen.has(lower(name))) continue;
+    seen.add(lower(name));
+    out.push(name);
+  }
+  return out;
+}
+
+function cleanFieldDef(f, errors) {
+  const key = String(f?.key || "");
+  const where = `Field "${key || "?"}"`;
+  if (!KEY_RE.test(key)) errors.push(`${where}: key must start with a-z and use a-z, 0-9, _ (max 30)`);
+
+  const type = String(f?.type || "text");
+  if (!FIELD_TYPES.includes(type)) errors.push(`${where}: type must be one of ${FIELD_TYPES.join(", ")}`);
+
+  const out = { key, label: sanitizeString(f?.label, 60) || key, type };
+
+  if (type === "select" || type === "multiselect") {
+    const options = Array.from(
+      new Set((Array.isArray(f?.options) ? f.options : []).map((o) => sanitizeString(o, 60)).filter(Boolean))
+    ).slice(0, 40);
+    if (!options.length) errors.push(`${where}: options are required`);
+    out.options = options;
+  }
+  if (type === "number") {
+    if (Number.isFinite(f?.min)) out.min = f.min;
+    if (Number.isFinite(f?.max)) out.max = f.max;
+    if (out.min != null && out.max != null && out.min > out.max) errors.push(`${where}: min is above max`);
+  }
+  if (type === "text") {
+    out.max = Number.isInteger(f?.max) ? Math.min(1000, Math.max(1, f.max)) : 200;
+  }
+  return out;
+}
+
+/**
+ * -> { ok, fields } | { ok: false, errors }
+ */
+export function normalizeFieldDefs(raw) {
+  const list = Array.isArray(raw) ? raw : [];
+  if (list.length > MAX_FIELDS) return { ok: false, errors: [`At most ${MAX_FIELDS} custom fields`] };
+  const errors = [];
+  const fields = list.map((f) => cleanFieldDef(f, errors));
+  const seen = new Set();
+  for (const f of fields) {
+    if (seen.has(f.key)) errors.push(`Duplicate field key "${f.key}"`);
+    seen.add(f.key);
+  }
+  return errors.length ? { ok: false, errors } : { ok: true, fields };
+}
+
+export async function getFieldDefs(store) {
+  const raw = await store.get(CUSTOM_FIELDS_KEY, { type: "json" }).catch(() => null);
+  const checked = normalizeFieldDefs(raw?.fields);
+  return checked.ok ? checked.fields : [];
+}
+
+function isEmpty(v) {
+  return v == null || v === "" || (Array.isArray(v) && !v.length);
+}
+
+// -> coerced value; throws with a user-facing message
+function coerceValue(def, v) {
+  const bad = (why) => new Error(`${def.label}: ${why}`);
+  switch (def.type) {
+    case "number": {
+      const n = typeof v === "number" ? v : Number(String(v).trim());
+      if (!Number.isFinite(n)) throw bad("must be a number");
+      if (def.min != null && n < def.min) throw bad(`must be at least ${def.min}`);
+      if (def.max != null && n > def.max) throw bad(`must be at most ${def.max}`);
+      return n;
+    }
+    case "boolean":
+      if (typeof v === "boolean") return v;
+      if (v === "true" || v === "false") return v === "true";
+      throw bad("must be true or false");
+    case "date": {
+      const s = String(v).trim();
+      // Round-trip so impossible days (2027-02-30) don't roll over into the next month
+      const d = new Date(`${s}T00:00:00Z`);
+      if (!DATE_RE.test(s) || Number.isNaN(d.getTime()) || d.toISOString().slice(0, 10) !== s) {
+        throw bad("must be a date (YYYY-MM-DD)");
+      }
+      return s;
+    }
+    case "select": {
+      const match = def.options.find((o) => lower(o) === lower(String(v).trim()));
+      if (!match) throw bad(`must be one of ${def.options.join(", ")}`);
+      return match;
+    }
+    case "multiselect": {
+      const list = Array.isArray(v) ? v : String(v).split(/[|,]/);
+      const out = [];
+      for (const item of list.map((x) => String(x).trim()).filter(Boolean)) {
+        const match = def.options.find((o) => lower(o) === lower(item));
+        if (!match) throw bad(`"${item}" is not one of ${def.options.join(", ")}`);
+        if (!out.includes(match)) out.push(match);
+      }
+      return out;
+    }
+    default: {
+      const s = sanitizeString(v, 5000);
+      if (s.length > def.max) throw bad(`must be at most ${def.max} characters`);
+      return s;
+    }
+  }
+}
+
+/**
+ * Replaces the custom values as a whole: { key: value }; "" / null / [] clear a field.
+ * Throws on unknown keys or values that don't fit the field type.
+ */
+export function normalizeCustomValues(defs, raw) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) throw new Error("custom must be an object");
+  const byKey = new Map(defs.map((d) => [d.key, d]));
+  const out = {};
+  for (const [key, v] of Object.entries(raw)) {
+    const def = byKey.get(key);
+    if (!def) throw new Error(`Unknown custom field "${key}"`);
+    if (isEmpty(v)) continue;
+    const value = coerceValue(def, v);
+    if (!isEmpty(value)) out[key] = value;
+  }
+  return out;
+}
+
+/**
+ * leads-list filter: cf_<key>=<value>; "*" matches any value that is set.
+ * text matches on substring, multiselect on any chosen option, the rest on equality.
+ */
+export function matchesCustomFilter(def, value, wanted) {
+  if (isEmpty(value)) return false;
+  if (wanted === "*") return true;
+  const w = lower(wanted);
+  switch (def.type) {
+    case "text":
+      return lower(value).includes(w);
+    case "multiselect":
+      return (Array.isArray(value) ? value : []).some((v) => lower(v) === w);
+    default:
+      return lower(value) === w;
+  }
+}
@@ -0,0 +1,66 @@
+// netlify/functions/_history.js
+import crypto from "node:crypto";
+
+/**
+ * Audit history: history/<lead suffix> -> { id, events: [...] } (oldest first)
+ * Each event keeps full before/after snapshots of the editable fields so any
+ * version can be restored, plus a per-field diff for display.
+ */
+export const HISTORY_FIELDS = ["status", "internal_notes", "tags", "archived", "appointment", "custom"];
+
+const MAX_EVENTS = 200;
+
+export function historyKeyFor(id) {
+  return `history/${String(id).replace(/^leads\//, "")}`;
+}
+
+export function snapshotOf(record) {
+  const out = {};
+  for (const f of HISTORY_FIELDS) {
+    const v = record?.[f];
+    out[f] = v === undefined ? null : JSON.parse(JSON.stringify(v));
+  }
+  return out;
+}
+
+export function diffSnapshots(before, after) {
+  const changes = {};
+  for (const f of HISTORY_FIELDS) {
+    if (JSON.stringify(before?.[f] ?? null) !== JSON.stringify(after?.[f] ?? null)) {
+      changes[f] = { before: before?.[f] ?? null, after: after?.[f] ?? null };
+    }
+  }
+  return changes;
+}
+
+export async function readLeadHistory(store, id) {
+  const doc = await store.get(historyKeyFor(id), { type: "json" });
+  return Array.isArray(doc?.events) ? doc.events : [];
+}
+
+// Fold another lead's events into this lead's timeline (used by leads-merge)
+export async function importLeadHistory(store, id, fromId) {
+  const own = await readLeadHistory(store, id);
+  const other = (await readLeadHistory(store, fromId)).map((e) => ({ ...e, merged_from: fromId }));
+  const events = [...own, ...other].sort((a, b) => (a.at < b.at ? -1 : 1)).slice(-MAX_EVENTS);
+  await store.setJSON(historyKeyFor(id), { id, events });
+}
+
+export async function recordLeadEvent(store, id, { by, action, before, after, changes, extra }) {
+  const events = await readLeadHistory(store, id);
+  const event = {
+    id: crypto.randomUUID(),
+    at: new Date().toISOString(),
+    by: by || "",
+    action: action || "update",
+    changes: changes || diffSnapshots(before, after),
+    before,
+    after,
+    ...(extra || {}),
+  };
+  await store.setJSON(historyKeyFor(id), {
+    id,
+    events: [...events, event].slice(-MAX_EVENTS),
+  });
+  return event;
+}
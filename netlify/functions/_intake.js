@@ -0,0 +1,280 @@
+// netlify/functions/_intake.js
+import { sanitizeString } from "./_utils.js";
+
+/**
+ * Chat intake flow: config/intake-flow (editable from admin via intake-flow)
+ *
+ * { version, start, questions: [{
+ *     id, prompt, type: "choice" | "text" | "phone" | "instagram" | "email",
+ *     field,              // lead field the answer maps to (see INTAKE_FIELDS)
+ *     notes_label?,       // field "notes": appended as "<label>: <answer>"
+ *     choices?: [{ label, value?, next? }],  // quick replies; value defaults to label
+ *     allow_other?,       // choice: free text accepted too
+ *     optional?,          // shows a "Skip" reply
+ *     min?, max?,         // text length bounds
+ *     placeholder?, next? // next question id; null/absent ends the chat
+ * }] }
+ */
+export const INTAKE_FLOW_KEY = "config/intake-flow";
+
+export const INTAKE_FIELDS = [
+  "name",
+  "phone",
+  "instagram",
+  "email",
+  "service",
+  "availability",
+  "notes",
+  "contact_preference",
+  "budget",
+  "length",
+  "style",
+];
+
+const TYPES = new Set(["choice", "text", "phone", "instagram", "email"]);
+const CONTACT_FIELDS = new Set(["phone", "instagram", "email"]);
+const ID_RE = /^[a-z0-9_]{1,40}$/;
+
+const c = (label, extra = {}) => ({ label, ...extra });
+
+export const DEFAULT_INTAKE_FLOW = {
+  version: 1,
+  start: "style",
+  questions: [
+    {
+      id: "style",
+      prompt: "What are you thinking for your nails? (Soft neutrals / French / glossy / statement — anything is fine.)",
+      type: "choice",
+      field: "style",
+      choices: [c("Soft neutral"), c("French"), c("Glossy solid color"), c("Statement / nail art")],
+      allow_other: true,
+      next: "service",
+    },
+    {
+      id: "service",
+      prompt: "Which service sounds closest?",
+      type: "choice",
+      field: "service",
+      choices: [
+        c("Gel manicure"),
+        c("Acrylic full set"),
+        c("Fill"),
+        c("French / clean design"),
+        c("Nail art / custom"),
+        c("Not sure"),
+      ],
+      next: "current_set",
+    },
+    {
+      id: "current_set",
+      prompt: "Do you currently have a set on?",
+      type: "choice",
+      field: "notes",
+      notes_label: "Current set",
+      choices: [c("Gel"), c("Acrylic"), c("Dip"), c("Builder gel"), c("Bare / none", { next: "length" })],
+      allow_other: true,
+      next: "removal",
+    },
+    {
+      id: "removal",
+      prompt: "Will you need removal?",
+      type: "choice",
+      field: "notes",
+      notes_label: "Needs removal",
+      choices: [c("Yes"), c("No"), c("Not sure")],
+      next: "length",
+    },
+    {
+      id: "length",
+      prompt: "What length do you want?",
+      type: "choice",
+      field: "length",
+      choices: [c("Short"), c("Medium"), c("Long"), c("Extra long"), c("Not sure")],
+      optional: true,
+      next: "budget",
+    },
+    {
+      id: "budget",
+      prompt: "Do you have a budget in mind? (Clinic pricing is student pricing.)",
+      type: "choice",
+      field: "budget",
+      choices: [c("Under $30"), c("$30–$50"), c("$50+"), c("Not sure")],
+      optional: true,
+      next: "availability",
+    },
+    {
+      id: "availability",
+      prompt: "When are you hoping to come in?",
+      type: "choice",
+      field: "availability",
+      choices: [c("ASAP"), c("This week"), c("Next 1–2 weeks"), c("Flexible")],
+      allow_other: true,
+      placeholder: "e.g., Thu after 4, Sat morning",
+      next: "contact_pref",
+    },
+    {
+      id: "contact_pref",
+      prompt: "How should Ashlee reach out?",
+      type: "choice",
+      field: "contact_preference",
+      choices: [
+        c("Text", { value: "Text", next: "phone" }),
+        c("Instagram DM", { value: "Instagram", next: "instagram" }),
+        c("Email", { value: "Email", next: "email" }),
+      ],
+      next: "phone",
+    },
+    {
+      id: "phone",
+      prompt: "What’s the best number to text you?",
+      type: "phone",
+      field: "phone",
+      placeholder: "(435) 555-0123",
+      next: "name",
+    },
+    {
+      id: "instagram",
+      prompt: "What’s your Instagram handle?",
+      type: "instagram",
+      field: "instagram",
+      placeholder: "@yourhandle",
+      next: "name",
+    },
+    {
+      id: "email",
+      prompt: "What’s your email address?",
+      type: "email",
+      field: "email",
+      placeholder: "you@example.com",
+      next: "name",
+    },
+    {
+      id: "name",
+      prompt: "And what’s your name?",
+      type: "text",
+      field: "name",
+      min: 1,
+      max: 80,
+      placeholder: "Your name",
+      next: null,
+    },
+  ],
+};
+
+function cleanQuestion(q, errors) {
+  const id = String(q?.id || "");
+  const where = `Question "${id || "?"}"`;
+  if (!ID_RE.test(id)) errors.push(`${where}: id must be 1–40 chars of a-z, 0-9, _`);
+
+  const type = String(q?.type || "text");
+  if (!TYPES.has(type)) errors.push(`${where}: unknown type "${type}"`);
+
+  const field = String(q?.field || "");
+  if (!INTAKE_FIELDS.includes(field)) errors.push(`${where}: field must be one of ${INTAKE_FIELDS.join(", ")}`);
+
+  const prompt = sanitizeString(q?.prompt, 300);
+  if (!prompt) errors.push(`${where}: prompt is required`);
+
+  const out = { id, prompt, type, field, next: q?.next ? String(q.next) : null };
+  if (field === "notes") out.notes_label = sanitizeString(q?.notes_label, 40) || prompt.slice(0, 40);
+  if (q?.optional) out.optional = true;
+  if (q?.placeholder) out.placeholder = sanitizeString(q.placeholder, 80);
+
+  if (type === "text") {
+    const min = Number.isInteger(q?.min) ? Math.max(0, q.min) : 1;
+    const max = Number.isInteger(q?.max) ? Math.min(1000, Math.max(min, q.max)) : 300;
+    out.min = min;
+    out.max = max;
+  }
+
+  if (type === "choice") {
+    const choices = (Array.isArray(q?.choices) ? q.choices : []).slice(0, 12).map((ch) => {
+      const label = sanitizeString(ch?.label, 60);
+      const o = { label, value: sanitizeString(ch?.value, 100) || label };
+      if (ch?.next) o.next = String(ch.next);
+      return o;
+    });
+    if (!choices.length || choices.some((ch) => !ch.label)) errors.push(`${where}: choices need labels`);
+    out.choices = choices;
+    if (q?.allow_other) out.allow_other = true;
+  }
+
+  return out;
+}
+
+function successorsOf(q) {
+  const ids = new Set();
+  for (const ch of q.choices || []) if (ch.next) ids.add(ch.next);
+  // Free text, skips and choices without their own next fall through to q.next (or end)
+  const fallsThrough =
+    q.type !== "choice" || q.allow_other || q.optional || (q.choices || []).some((ch) => !ch.next);
+  if (fallsThrough) ids.add(q.next || null);
+  return Array.from(ids);
+}
+
+/**
+ * Validates shape, references and reachability:
+ * - every next points at an existing question, no cycles
+ * - every path to the end asks for a name and a phone, Instagram or email (non-optional)
+ * -> { ok, flow } | { ok: false, errors }
+ */
+export function normalizeIntakeFlow(raw) {
+  const errors = [];
+  const r = raw && typeof raw === "object" ? raw : {};
+  const list = Array.isArray(r.questions) ? r.questions : [];
+  if (!list.length || list.length > 40) return { ok: false, errors: ["Flow needs 1–40 questions"] };
+
+  const questions = list.map((q) => cleanQuestion(q, errors));
+  const byId = new Map();
+  for (const q of questions) {
+    if (byId.has(q.id)) errors.push(`Duplicate question id "${q.id}"`);
+    byId.set(q.id, q);
+  }
+
+  const start = String(r.start || questions[0].id);
+  if (!byId.has(start)) errors.push(`start "${start}" is not a question id`);
+
+  for (const q of questions) {
+    for (const next of successorsOf(q)) {
+      if (next !== null && !byId.has(next)) errors.push(`Question "${q.id}": next "${next}" does not exist`);
+    }
+  }
+  if (errors.length) return { ok: false, errors };
+
+  // Fields guaranteed on every path from a node to the end (phone/instagram/email count as "contact")
+  const memo = new Map();
+  const visiting = new Set();
+  function guaranteed(id) {
+    if (id === null) return new Set();
+    if (memo.has(id)) return memo.get(id);
+    if (visiting.has(id)) throw new Error(`Flow has a loop through "${id}"`);
+    visiting.add(id);
+    const q = byId.get(id);
+    const paths = successorsOf(q).map(guaranteed);
+    const out = new Set(paths.length ? [...paths[0]].filter((f) => paths.every((p) => p.has(f))) : []);
+    if (!q.optional) out.add(CONTACT_FIELDS.has(q.field) ? "contact" : q.field);
+    visiting.delete(id);
+    memo.set(id, out);
+    return out;
+  }
+
+  try {
+    const must = guaranteed(start);
+    if (!must.has("name")) errors.push("Every path must ask for the client's name");
+    if (!must.has("contact")) errors.push("Every path must ask for a phone number, Instagram handle or email");
+  } catch (e) {
+    errors.push(e.message);
+  }
+  if (errors.length) return { ok: false, errors };
+
+  return {
+    ok: true,
+    flow: { version: Number.isInteger(r.version) ? r.version : 1, start, questions },
+  };
+}
+
+export async function getIntakeFlow(store) {
+  const raw = await store.get(INTAKE_FLOW_KEY, { type: "json" }).catch(() => null);
+  const checked = raw ? normalizeIntakeFlow(raw) : null;
+  return checked?.ok ? checked.flow : normalizeIntakeFlow(DEFAULT_INTAKE_FLOW).flow;
+}
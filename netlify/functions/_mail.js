@@ -0,0 +1,209 @@
+// netlify/functions/_mail.js
+import net from "node:net";
+import tls from "node:tls";
+import crypto from "node:crypto";
+
+/**
+ * Plain-text mail through a pluggable transport.
+ * MAIL_TRANSPORT selects it:
+ * - smtp (default) -> minimal SMTP client below
+ *     Env: SMTP_HOST, SMTP_PORT (default 587), SMTP_USER, SMTP_PASS, SMTP_FROM,
+ *     SMTP_SECURE=true for implicit TLS (default when port is 465).
+ *     Port 587 upgrades with STARTTLS; a server that doesn't offer it is refused. Only
+ *     SMTP_ALLOW_PLAINTEXT=true without SMTP_USER (an unauthenticated local relay) sends in the clear.
+ * - stub           -> no network; messages are kept in stubOutbox (for tests/dev)
+ * setMailTransport(fn) swaps in any other sender, e.g. a local SMTP stand-in in tests.
+ */
+export function smtpConfig() {
+  const host = process.env.SMTP_HOST || "";
+  const from = process.env.SMTP_FROM || process.env.SMTP_USER || "";
+  if (!host || !from) return null;
+  const port = Number(process.env.SMTP_PORT || "587");
+  return {
+    host,
+    port,
+    secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === "true" : port === 465,
+    user: process.env.SMTP_USER || "",
+    pass: process.env.SMTP_PASS || "",
+    allowPlaintext: process.env.SMTP_ALLOW_PLAINTEXT === "true",
+    from,
+  };
+}
+
+const TIMEOUT_MS = 15000;
+
+function encodeHeader(v) {
+  const s = String(v || "").replace(/[\r\n]+/g, " ");
+  return /^[\x20-\x7e]*$/.test(s) ? s : `=?UTF-8?B?${Buffer.from(s).toString("base64")}?=`;
+}
+
+function bareAddress(v) {
+  const m = String(v || "").match(/<([^>]+)>/);
+  return (m ? m[1] : String(v || "")).trim();
+}
+
+export function isEmailAddress(v) {
+  return /^[^\s@<>(),;:"]+@[^\s@<>(),;:"]+\.[a-z]{2,}$/i.test(String(v || "").trim());
+}
+
+// Lead/contact form: trimmed, lowercased, "" when not an address
+export function normalizeEmail(v) {
+  const s = String(v || "").trim().toLowerCase();
+  return s.length <= 200 && isEmailAddress(s) ? s : "";
+}
+
+function buildMessage({ from, to, subject, text }) {
+  const domain = bareAddress(from).split("@")[1] || "localhost";
+  const body = Buffer.from(String(text || "")).toString("base64").replace(/.{76}/g, "$&\r\n");
+  return [
+    `From: ${encodeHeader(from)}`,
+    `To: ${to.join(", ")}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+    "MIME-Version: 1.0",
+    "Content-Type: text/plain; charset=utf-8",
+    "Content-Transfer-Encoding: base64",
+    "",
+    body,
+  ].join("\r\n");
+}
+
+// Line-oriented reader over a socket; resolves with { code, lines } per reply
+function smtpSession(socket) {
+  let buf = "";
+  let pending = null;
+  const replies = [];
+  let error = null;
+
+  const onData = (chunk) => {
+    buf += chunk.toString("utf8");
+    let idx;
+    let lines = [];
+    while ((idx = buf.indexOf("\r\n")) !== -1) {
+      const line = buf.slice(0, idx);
+      buf = buf.slice(idx + 2);
+      lines.push(line);
+      if (/^\d{3} /.test(line) || /^\d{3}$/.test(line)) {
+        replies.push({ code: Number(line.slice(0, 3)), lines });
+        lines = [];
+      }
+    }
+    if (lines.length) buf = lines.map((l) => `${l}\r\n`).join("") + buf;
+    flush();
+  };
+  const onError = (e) => {
+    error = e;
+    flush();
+  };
+  function flush() {
+    if (!pending) return;
+    if (replies.length) {
+      const p = pending;
+      pending = null;
+      p.resolve(replies.shift());
+    } else if (error) {
+      const p = pending;
+      pending = null;
+      p.reject(error);
+    }
+  }
+
+  function attach(s) {
+    s.on("data", onData);
+    s.on("error", onError);
+    s.on("close", () => onError(new Error("SMTP connection closed")));
+  }
+  attach(socket);
+
+  return {
+    attach,
+    read() {
+      return new Promise((resolve, reject) => {
+        pending = { resolve, reject };
+        flush();
+      });
+    },
+  };
+}
+
+async function smtpSend({ to: rcpts, subject, text }) {
+  const cfg = smtpConfig();
+  if (!cfg) return { ok: false, error: "SMTP env vars missing" };
+
+  let socket = cfg.secure
+    ? tls.connect({ host: cfg.host, port: cfg.port, servername: cfg.host })
+    : net.connect({ host: cfg.host, port: cfg.port });
+  socket.setTimeout(TIMEOUT_MS, () => socket.destroy(new Error("SMTP timeout")));
+  const session = smtpSession(socket);
+
+  async function cmd(line, expect) {
+    if (line !== null) socket.write(`${line}\r\n`);
+    const reply = await session.read();
+    if (!expect.includes(reply.code)) {
+      throw new Error(`SMTP ${reply.code}: ${reply.lines.join(" ").slice(4, 200)}`);
+    }
+    return reply;
+  }
+
+  try {
+    await cmd(null, [220]);
+    let ehlo = await cmd("EHLO ashlee-nails", [250]);
+
+    if (!cfg.secure && ehlo.lines.some((l) => /STARTTLS/i.test(l))) {
+      await cmd("STARTTLS", [220]);
+      socket.removeAllListeners("data");
+      socket = tls.connect({ socket, servername: cfg.host });
+      socket.setTimeout(TIMEOUT_MS, () => socket.destroy(new Error("SMTP timeout")));
+      session.attach(socket);
+      ehlo = await cmd("EHLO ashlee-nails", [250]);
+    } else if (!cfg.secure) {
+      // Never send credentials (or mail, unless explicitly allowed) over a socket that isn't TLS
+      if (cfg.user) throw new Error("SMTP server does not offer STARTTLS; refusing to send credentials in cleartext");
+      if (!cfg.allowPlaintext) throw new Error("SMTP server does not offer STARTTLS (set SMTP_ALLOW_PLAINTEXT=true for a local relay)");
+    }
+
+    if (cfg.user) {
+      const token = Buffer.from(`\u0000${cfg.user}\u0000${cfg.pass}`).toString("base64");
+      await cmd(`AUTH PLAIN ${token}`, [235]);
+    }
+
+    await cmd(`MAIL FROM:<${bareAddress(cfg.from)}>`, [250]);
+    for (const r of rcpts) await cmd(`RCPT TO:<${r}>`, [250, 251]);
+    await cmd("DATA", [354]);
+    const reply = await cmd(`${buildMessage({ from: cfg.from, to: rcpts, subject, text })}\r\n.`, [250]);
+    await cmd("QUIT", [221]).catch(() => {});
+
+    return { ok: true, id: reply.lines.join(" ").slice(4, 120) };
+  } finally {
+    socket.destroy();
+  }
+}
+
+/**
+ * Transports: async ({ to: [address], subject, text }) -> { ok, id? } | { ok: false, error }
+ */
+export const stubOutbox = [];
+const MAX_STUB_OUTBOX = 50;
+
+async function stubSend(msg) {
+  const id = `stub-${crypto.randomUUID()}`;
+  stubOutbox.push({ id, at: new Date().toISOString(), ...msg });
+  if (stubOutbox.length > MAX_STUB_OUTBOX) stubOutbox.shift();
+  return { ok: true, id };
+}
+
+const MAIL_TRANSPORTS = { smtp: smtpSend, stub: stubSend };
+let transportOverride = null;
+
+export function setMailTransport(send) {
+  transportOverride = typeof send === "function" ? send : null;
+}
+
+export async function sendMail({ to, subject, text }) {
+  const rcpts = (Array.isArray(to) ? to : [to]).map(bareAddress).filter(isEmailAddress);
+  if (!rcpts.length) return { ok: false, error: "Invalid recipient" };
+  const send = transportOverride || MAIL_TRANSPORTS[process.env.MAIL_TRANSPORT || "smtp"];
+  if (!send) return { ok: false, error: `Unknown MAIL_TRANSPORT "${process.env.MAIL_TRANSPORT}"` };
+  return await send({ to: rcpts, subject: String(subject || ""), text: String(text || "") });
+}
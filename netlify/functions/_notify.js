@@ -0,0 +1,277 @@
+// netlify/functions/_notify.js
+import crypto from "node:crypto";
+
+import { sanitizeString, normalizePhone, mapLimit } from "./_utils.js";
+import { sendSms } from "./_sms.js";
+import { sendMail, isEmailAddress } from "./_mail.js";
+import { getSiteSettings } from "./_settings.js";
+import { maskEmail, maskPhone } from "./_roles.js";
+
+/**
+ * Notification dispatcher.
+ * - notify-prefs/<admin email> -> { email, channels: [{ id, type, target, secret?, enabled }], filters: { services: [] } }
+ * - notify-log/<ISO>_<uuid>    -> one delivery attempt record (see deliver)
+ * - notify-retry/<log suffix>  -> pointer while a failed delivery is waiting for notify-retry
+ * Log entries older than LOG_MAX_AGE_DAYS are pruned by privacy-retention.
+ *
+ * Until some admin enables a channel, alerts fall back to SMS to the site settings'
+ * alert_sms_to (or the ASHLEE_SMS_TO env var when that is blank).
+ */
+const PREFS_PREFIX = "notify-prefs/";
+const LOG_PREFIX = "notify-log/";
+const RETRY_PREFIX = "notify-retry/";
+
+export const MAX_ATTEMPTS = 5;
+export const LOG_MAX_AGE_DAYS = 90;
+const RETRY_BASE_MS = 5 * 60 * 1000; // 5m, 15m, 45m, 2h15m
+
+function hmacHex(secret, body) {
+  return crypto.createHmac("sha256", secret).update(body).digest("hex");
+}
+
+async function postJson(url, payload, headers = () => ({})) {
+  const body = JSON.stringify(payload);
+  const res = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...headers(body) },
+    body,
+    signal: AbortSignal.timeout(10000),
+  });
+  if (!res.ok) return { ok: false, error: `HTTP ${res.status}` };
+  return { ok: true };
+}
+
+/**
+ * Channel registry. Each channel validates/normalizes its target and sends a
+ * message { event, subject, text, lead_id, admin_link, lead }.
+ * Add a channel by adding an entry here.
+ */
+export const NOTIFY_CHANNELS = {
+  sms: {
+    label: "SMS",
+    target: (v) => normalizePhone(v),
+    send: (ch, msg) => sendSms({ to: ch.target, body: msg.text }),
+  },
+  email: {
+    label: "Email",
+    target: (v) => (isEmailAddress(v) ? sanitizeString(v, 200).toLowerCase() : ""),
+    send: (ch, msg) => sendMail({ to: ch.target, subject: msg.subject, text: msg.text }),
+  },
+  webhook: {
+    label: "Webhook (signed JSON)",
+    target: (v) => (/^https:\/\//i.test(String(v || "").trim()) ? sanitizeString(v, 500) : ""),
+    send: (ch, msg) => {
+      const secret = ch.secret || process.env.NOTIFY_WEBHOOK_SECRET || "";
+      const ts = String(Math.floor(Date.now() / 1000));
+      return postJson(ch.target, { ...msg, sent_at: new Date().toISOString() }, (body) => ({
+        "X-Notify-Event": msg.event,
+        "X-Notify-Timestamp": ts,
+        ...(secret ? { "X-Notify-Signature": `sha256=${hmacHex(secret, `${ts}.${body}`)}` } : {}),
+      }));
+    },
+  },
+  slack: {
+    label: "Slack-compatible webhook",
+    target: (v) => (/^https:\/\//i.test(String(v || "").trim()) ? sanitizeString(v, 500) : ""),
+    send: (ch, msg) => postJson(ch.target, { text: msg.text }),
+  },
+};
+
+/**
+ * Prefs
+ */
+export function prefsKeyFor(email) {
+  const e = String(email || "").trim().toLowerCase();
+  return e ? `${PREFS_PREFIX}${encodeURIComponent(e)}` : "";
+}
+
+export function normalizeNotifyPrefs(raw, email) {
+  const r = raw && typeof raw === "object" ? raw : {};
+  const channels = (Array.isArray(r.channels) ? r.channels : [])
+    .slice(0, 10)
+    .map((c) => {
+      const type = String(c?.type || "");
+      const def = NOTIFY_CHANNELS[type];
+      if (!def) return null;
+      const target = def.target(c.target);
+      if (!target) return null;
+      const out = {
+        id: /^[a-z0-9-]{1,40}$/i.test(String(c.id || "")) ? c.id : crypto.randomUUID(),
+        type,
+        target,
+        enabled: c.enabled !== false,
+      };
+      if (type === "webhook") out.secret = sanitizeString(c.secret, 200);
+      return out;
+    })
+    .filter(Boolean);
+
+  const services = (Array.isArray(r.filters?.services) ? r.filters.services : [])
+    .map((s) => sanitizeString(s, 60).toLowerCase())
+    .filter(Boolean)
+    .slice(0, 20);
+
+  return { email: String(email || "").toLowerCase(), channels, filters: { services } };
+}
+
+export async function getNotifyPrefs(store, email) {
+  const key = prefsKeyFor(email);
+  const raw = key ? await store.get(key, { type: "json" }).catch(() => null) : null;
+  return normalizeNotifyPrefs(raw || {}, email);
+}
+
+export async function listNotifyPrefs(store) {
+  const { blobs } = await store.list({ prefix: PREFS_PREFIX });
+  const all = await mapLimit(blobs || [], 5, (b) => store.get(b.key, { type: "json" }).catch(() => null));
+  return all.filter(Boolean).map((p) => normalizeNotifyPrefs(p, p.email));
+}
+
+// Empty service filter = everything; otherwise substring match on lead.service
+export function matchesFilters(prefs, record) {
+  const services = prefs.filters?.services || [];
+  if (!services.length) return true;
+  const svc = String(record?.lead?.service || "").toLowerCase();
+  return services.some((s) => svc.includes(s));
+}
+
+/**
+ * Delivery log
+ */
+function logKeyFor(now = new Date()) {
+  return `${LOG_PREFIX}${now.toISOString()}_${crypto.randomUUID()}`;
+}
+
+function retryKeyFor(logKey) {
+  return `${RETRY_PREFIX}${String(logKey).slice(LOG_PREFIX.length)}`;
+}
+
+export function isLogKey(key) {
+  return /^notify-log\/\d{4}-\d{2}-\d{2}T[\d:.]+Z_[0-9a-f-]{36}$/i.test(String(key || ""));
+}
+
+// Webhook URLs (Slack's included) are credentials: only their host is shown
+function redactTarget(channel, ownEntry) {
+  const target = String(channel.target || "");
+  if (channel.type === "webhook" || channel.type === "slack") {
+    try {
+      return `${new URL(target).origin}/…`;
+    } catch {
+      return "…";
+    }
+  }
+  if (ownEntry) return target;
+  return channel.type === "sms" ? maskPhone(target) : maskEmail(target);
+}
+
+/**
+ * Log entry as shown to `viewerEmail`: no webhook secrets or URLs, and other admins'
+ * phone numbers / addresses masked
+ */
+export function publicLogEntry(entry, viewerEmail = "") {
+  const { secret, ...channel } = entry.channel || {};
+  const own = Boolean(viewerEmail) && String(entry.recipient || "").toLowerCase() === String(viewerEmail).toLowerCase();
+  return { ...entry, channel: { ...channel, target: redactTarget(channel, own) } };
+}
+
+export async function deliver(store, entry) {
+  const def = NOTIFY_CHANNELS[entry.channel?.type];
+  const now = new Date();
+  entry.attempts = Number(entry.attempts || 0) + 1;
+  entry.last_attempt_at = now.toISOString();
+
+  let out;
+  try {
+    out = def ? await def.send(entry.channel, entry.message) : { ok: false, error: "Unknown channel" };
+  } catch (e) {
+    out = { ok: false, error: e?.message || "send failed" };
+  }
+
+  if (out?.ok) {
+    entry.status = "sent";
+    entry.last_error = "";
+    entry.next_retry_at = "";
+  } else {
+    entry.last_error = sanitizeString(out?.error || "send failed", 300);
+    const giveUp = entry.attempts >= MAX_ATTEMPTS;
+    entry.status = giveUp ? "failed" : "retrying";
+    entry.next_retry_at = giveUp
+      ? ""
+      : new Date(now.getTime() + RETRY_BASE_MS * 3 ** (entry.attempts - 1)).toISOString();
+  }
+
+  await store.setJSON(entry.id, entry);
+  const rk = retryKeyFor(entry.id);
+  if (entry.status === "retrying") await store.setJSON(rk, { id: entry.id, next_retry_at: entry.next_retry_at });
+  else await store.delete(rk).catch(() => {});
+
+  return entry;
+}
+
+export async function listDueRetries(store, now = new Date()) {
+  const { blobs } = await store.list({ prefix: RETRY_PREFIX });
+  const pointers = await mapLimit(blobs || [], 5, (b) => store.get(b.key, { type: "json" }).catch(() => null));
+  return pointers
+    .filter((p) => p && isLogKey(p.id) && Date.parse(p.next_retry_at || 0) <= now.getTime())
+    .map((p) => p.id);
+}
+
+/**
+ * Drops log entries (and their retry pointers) older than maxAgeDays; the key starts with
+ * the creation time, so nothing has to be read. -> number pruned
+ */
+export async function pruneDeliveryLog(store, now = new Date(), maxAgeDays = LOG_MAX_AGE_DAYS) {
+  const cutoff = now.getTime() - maxAgeDays * 24 * 60 * 60 * 1000;
+  const { blobs } = await store.list({ prefix: LOG_PREFIX });
+  const old = (blobs || []).map((b) => b.key).filter((k) => Date.parse(k.slice(LOG_PREFIX.length).split("_")[0]) < cutoff);
+  await mapLimit(old, 5, async (k) => {
+    await store.delete(k).catch(() => {});
+    await store.delete(retryKeyFor(k)).catch(() => {});
+  });
+  return old.length;
+}
+
+export async function readDeliveryLog(store, { limit = 50 } = {}) {
+  const { blobs } = await store.list({ prefix: LOG_PREFIX });
+  const keys = (blobs || []).map((b) => b.key).sort().reverse().slice(0, limit);
+  const entries = await mapLimit(keys, 5, (k) => store.get(k, { type: "json" }).catch(() => null));
+  return entries.filter(Boolean);
+}
+
+/**
+ * Fan a message out to every admin whose prefs match, one log entry per channel.
+ * Returns the log entries (never throws per channel).
+ */
+export async function dispatchNotification(store, message, record, { only = null } = {}) {
+  let prefs = only ? [only] : await listNotifyPrefs(store);
+
+  if (!only && !prefs.some((p) => p.channels.some((c) => c.enabled))) {
+    const site = await getSiteSettings(store);
+    const legacy = normalizePhone(site.alert_sms_to || process.env.ASHLEE_SMS_TO || "");
+    prefs = legacy
+      ? [{ email: "default", channels: [{ id: "default-sms", type: "sms", target: legacy, enabled: true }], filters: {} }]
+      : [];
+  }
+
+  const targets = [];
+  for (const p of prefs) {
+    if (!matchesFilters(p, record)) continue;
+    for (const ch of p.channels) {
+      if (ch.enabled) targets.push({ recipient: p.email, channel: ch });
+    }
+  }
+
+  const now = new Date();
+  return await mapLimit(targets, 4, (t) =>
+    deliver(store, {
+      id: logKeyFor(now),
+      created_at: now.toISOString(),
+      event: message.event,
+      lead_id: message.lead_id || "",
+      recipient: t.recipient,
+      channel: t.channel,
+      status: "pending",
+      attempts: 0,
+      message,
+    })
+  );
+}
@@ -0,0 +1,75 @@
+// netlify/functions/_patch.js
+import { sanitizeString } from "./_utils.js";
+import { normalizeAppointment } from "./_appointments.js";
+import { canonicalTags, getFieldDefs, getTagCatalog, normalizeCustomValues } from "./_fields.js";
+
+/**
+ * Lead patches shared by leads-update (one lead) and leads-batch (many).
+ * Patch: { status, internal_notes, tags, archived, appointment, custom }
+ * appointment: { date, time, duration_min, service, confirmation } or null to clear
+ * custom: { <field key>: value } replaces the lead's custom field values
+ */
+export const VALID_STATUSES = new Set(["new", "contacted", "booked", "closed", "noshow", "quarantine"]);
+
+export function normalizeStatus(raw) {
+  return sanitizeString(raw, 30).toLowerCase();
+}
+
+export function normalizeTags(list) {
+  const tags = Array.isArray(list) ? list : [];
+  return tags.map((t) => sanitizeString(t, 40)).filter(Boolean).slice(0, 25);
+}
+
+// Tag catalog + custom field definitions the patch is checked against
+export async function loadVocab(store) {
+  const [tags, fields] = await Promise.all([getTagCatalog(store), getFieldDefs(store)]);
+  return { tags, fields };
+}
+
+// Throws with a user-facing message when the patch is invalid; existing is not mutated
+export function applyPatch(existing, patchRaw, vocab = { tags: [], fields: [] }) {
+  const patch = patchRaw && typeof patchRaw === "object" ? patchRaw : {};
+  const out = { ...existing };
+
+  if (patch.status != null) {
+    const s = normalizeStatus(patch.status);
+    if (!VALID_STATUSES.has(s)) throw new Error("Invalid status");
+    out.status = s;
+  }
+
+  if (patch.internal_notes != null) out.internal_notes = sanitizeString(patch.internal_notes, 2000);
+
+  if (patch.tags != null) out.tags = canonicalTags(normalizeTags(patch.tags), vocab.tags);
+
+  if (patch.custom != null) {
+    const custom = normalizeCustomValues(vocab.fields, patch.custom);
+    if (Object.keys(custom).length || existing.custom) out.custom = custom;
+  }
+
+  if (patch.archived != null) out.archived = Boolean(patch.archived);
+
+  if (Object.prototype.hasOwnProperty.call(patch, "appointment")) {
+    if (patch.appointment === null) {
+      out.appointment = null;
+    } else {
+      const appt = normalizeAppointment(patch.appointment);
+      if (!appt.ok) throw new Error(appt.error);
+      out.appointment = appt.appointment;
+    }
+  }
+
+  const nowIso = new Date().toISOString();
+  out.updated_at = nowIso;
+
+  // optional lifecycle stamps
+  if (existing.status !== out.status) {
+    if (out.status === "contacted" && !out.contacted_at) out.contacted_at = nowIso;
+    if ((out.status === "closed" || out.status === "booked") && !out.closed_at) {
+      out.closed_at = nowIso;
+    }
+    // Re-opening a request the client withdrew makes it live again on their status page
+    if (out.status !== "closed" && out.withdrawn_at) out.withdrawn_at = "";
+  }
+
+  return out;
+}
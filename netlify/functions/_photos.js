@@ -0,0 +1,157 @@
+// netlify/functions/_photos.js
+import { getStore } from "@netlify/blobs";
+import crypto from "node:crypto";
+
+/**
+ * Inspiration photos live in their own store, keyed by lead:
+ *   <lead suffix>/<photo uuid>  (bytes; metadata { content_type, size, lead_id, uploaded_at })
+ * The lead record keeps lead.photos = [{ id, content_type, size, uploaded_at }].
+ */
+export const MAX_PHOTOS_PER_LEAD = 3;
+export const MAX_PHOTO_BYTES = 5 * 1024 * 1024;
+const UPLOAD_WINDOW_MS = 60 * 60 * 1000;
+
+export function getPhotosStore() {
+  const name = process.env.PHOTOS_STORE_NAME || "ashlee-lead-photos";
+  return getStore({ name, consistency: "strong" });
+}
+
+const PHOTO_ID_RE = /^[0-9a-f-]{36}$/i;
+
+export function isPhotoId(id) {
+  return PHOTO_ID_RE.test(String(id || ""));
+}
+
+export function photoKeyFor(leadId, photoId) {
+  return `${String(leadId).slice("leads/".length)}/${photoId}`;
+}
+
+/**
+ * Upload token: returned once by leads-create, only its hash is stored on the lead.
+ */
+function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+export function issuePhotoUploadToken(record, now = new Date()) {
+  const token = crypto.randomBytes(24).toString("base64url");
+  record.photo_upload = {
+    token_hash: hashToken(token),
+    expires_at: new Date(now.getTime() + UPLOAD_WINDOW_MS).toISOString(),
+  };
+  return token;
+}
+
+export function checkPhotoUploadToken(record, token, now = new Date()) {
+  const pu = record?.photo_upload;
+  if (!pu?.token_hash || !token) return false;
+  if (Date.parse(pu.expires_at || "") < now.getTime()) return false;
+  const a = Buffer.from(pu.token_hash);
+  const b = Buffer.from(hashToken(token));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Type sniffing from magic bytes (the client's Content-Type is not trusted)
+ */
+export function sniffImageType(buf) {
+  if (buf.length > 3 && buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff) return "image/jpeg";
+  if (buf.length > 8 && buf.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    return "image/png";
+  }
+  if (buf.length > 12 && buf.toString("ascii", 0, 4) === "RIFF" && buf.toString("ascii", 8, 12) === "WEBP") {
+    return "image/webp";
+  }
+  return "";
+}
+
+// JPEG: drop APPn segments except JFIF (APP0), ICC profile (APP2) and Adobe (APP14); drop comments
+function stripJpeg(buf) {
+  const out = [buf.subarray(0, 2)];
+  let i = 2;
+  while (i < buf.length) {
+    if (buf[i] !== 0xff) throw new Error("Malformed JPEG");
+    let m = buf[i + 1];
+    while (m === 0xff) {
+      i += 1;
+      m = buf[i + 1];
+    }
+    if (m === 0xda) {
+      out.push(buf.subarray(i));
+      return Buffer.concat(out);
+    }
+    if (m === 0xd8 || (m >= 0xd0 && m <= 0xd7) || m === 0x01) {
+      out.push(buf.subarray(i, i + 2));
+      i += 2;
+      continue;
+    }
+    const len = buf.readUInt16BE(i + 2);
+    const seg = buf.subarray(i, i + 2 + len);
+    if (seg.length !== 2 + len) throw new Error("Malformed JPEG");
+    const isApp = m >= 0xe0 && m <= 0xef;
+    const keep =
+      (!isApp && m !== 0xfe) ||
+      m === 0xe0 ||
+      m === 0xee ||
+      (m === 0xe2 && seg.toString("ascii", 4, 15) === "ICC_PROFILE");
+    if (keep) out.push(seg);
+    i += 2 + len;
+  }
+  throw new Error("Malformed JPEG");
+}
+
+// PNG: drop text, time and eXIf chunks
+const PNG_DROP = new Set(["eXIf", "tEXt", "zTXt", "iTXt", "tIME"]);
+
+function stripPng(buf) {
+  const out = [buf.subarray(0, 8)];
+  let i = 8;
+  while (i + 12 <= buf.length) {
+    const len = buf.readUInt32BE(i);
+    const type = buf.toString("ascii", i + 4, i + 8);
+    const chunk = buf.subarray(i, i + 12 + len);
+    if (chunk.length !== 12 + len) throw new Error("Malformed PNG");
+    if (!PNG_DROP.has(type)) out.push(chunk);
+    i += 12 + len;
+    if (type === "IEND") return Buffer.concat(out);
+  }
+  throw new Error("Malformed PNG");
+}
+
+// WebP: drop EXIF/XMP chunks, clear their VP8X flags and fix the RIFF size
+function stripWebp(buf) {
+  const chunks = [];
+  let i = 12;
+  while (i + 8 <= buf.length) {
+    const fourcc = buf.toString("ascii", i, i + 4);
+    const size = buf.readUInt32LE(i + 4);
+    const end = i + 8 + size + (size % 2);
+    const chunk = Buffer.from(buf.subarray(i, Math.min(end, buf.length)));
+    if (chunk.length < 8 + size) throw new Error("Malformed WebP");
+    if (fourcc === "VP8X") chunk[8] &= ~(0x08 | 0x04);
+    if (fourcc !== "EXIF" && fourcc !== "XMP ") chunks.push(chunk);
+    i = end;
+  }
+  const body = Buffer.concat(chunks);
+  const header = Buffer.alloc(12);
+  header.write("RIFF", 0, "ascii");
+  header.writeUInt32LE(body.length + 4, 4);
+  header.write("WEBP", 8, "ascii");
+  return Buffer.concat([header, body]);
+}
+
+/**
+ * -> { ok, type, bytes } with camera/location metadata removed, or { ok: false, error }
+ */
+export function sanitizeImage(buf) {
+  if (!buf?.length) return { ok: false, error: "Empty upload" };
+  if (buf.length > MAX_PHOTO_BYTES) return { ok: false, error: "Photo is larger than 5 MB" };
+  const type = sniffImageType(buf);
+  if (!type) return { ok: false, error: "Only JPEG, PNG or WebP images are accepted" };
+  try {
+    const bytes = type === "image/jpeg" ? stripJpeg(buf) : type === "image/png" ? stripPng(buf) : stripWebp(buf);
+    return { ok: true, type, bytes };
+  } catch (e) {
+    return { ok: false, error: e?.message || "Unreadable image" };
+  }
+}
@@ -0,0 +1,114 @@
+// netlify/functions/_portfolio.js
+import { getStore } from "@netlify/blobs";
+
+import { sanitizeString } from "./_utils.js";
+
+/**
+ * Portfolio gallery (edited from admin via portfolio-admin, read by portfolio):
+ *   items                   -> { items: [item], updated_at, updated_by } (array order = display order)
+ *   images/<image uuid>     -> bytes (metadata { content_type, size, uploaded_at })
+ *
+ * item = { id, title, caption, style, length, alt, hidden,
+ *          image?: { id, content_type, size, uploaded_at },  // uploaded from admin
+ *          src? }                                            // bundled asset (seeded items)
+ * Until the list is saved once, the six bundled photos are served as the gallery.
+ */
+export const PORTFOLIO_ITEMS_KEY = "items";
+export const MAX_PORTFOLIO_ITEMS = 60;
+
+const ITEM_ID_RE = /^[a-z0-9-]{1,40}$/;
+const IMAGE_ID_RE = /^[0-9a-f-]{36}$/i;
+const ASSET_RE = /^\/assets\/portfolio\/[a-z0-9-]+\.(jpe?g|png|webp)$/;
+
+export const DEFAULT_PORTFOLIO_ITEMS = [
+  { id: "soft-neutral", title: "Clean nude set", caption: "Simple, glossy, and flattering—perfect for everyday.", style: "Soft neutral", length: "Short", src: "/assets/portfolio/soft-neutral.jpg" },
+  { id: "french", title: "Modern French", caption: "Crisp linework and balanced proportions.", style: "French", length: "Almond", src: "/assets/portfolio/french.jpg" },
+  { id: "chrome", title: "Glass chrome", caption: "High shine with an elevated, minimal finish.", style: "Chrome", length: "Medium", src: "/assets/portfolio/chrome.jpg" },
+  { id: "seasonal", title: "Seasonal accent", caption: "Subtle accent nail for holidays and events.", style: "Seasonal", length: "Short", src: "/assets/portfolio/seasonal.jpg" },
+  { id: "gel", title: "Natural gel overlay", caption: "Strength + structure without going extra long.", style: "Gel", length: "Natural", src: "/assets/portfolio/gel.jpg" },
+  { id: "art", title: "Minimal line art", caption: "Small details that read expensive, not busy.", style: "Art", length: "Custom", src: "/assets/portfolio/art.jpg" },
+].map((item) => ({ ...item, alt: `${item.title} nails photo`, hidden: false }));
+
+export function getPortfolioStore() {
+  const name = process.env.PORTFOLIO_STORE_NAME || "ashlee-portfolio";
+  return getStore({ name, consistency: "strong" });
+}
+
+export function isImageId(id) {
+  return IMAGE_ID_RE.test(String(id || ""));
+}
+
+export function imageKeyFor(imageId) {
+  return `images/${imageId}`;
+}
+
+export function imageUrlFor(item) {
+  if (item.image?.id) return `/.netlify/functions/portfolio-image?id=${encodeURIComponent(item.image.id)}`;
+  return item.src || "";
+}
+
+export async function getPortfolio(store) {
+  const raw = await store.get(PORTFOLIO_ITEMS_KEY, { type: "json" }).catch(() => null);
+  return Array.isArray(raw?.items) ? raw.items : DEFAULT_PORTFOLIO_ITEMS;
+}
+
+export async function savePortfolio(store, items, by) {
+  await store.setJSON(PORTFOLIO_ITEMS_KEY, { items, updated_at: new Date().toISOString(), updated_by: by });
+}
+
+/**
+ * Admin save: edits text, order and visibility of existing items; items left out are deleted.
+ * Images can't be set here (they only come from uploads), so each entry is matched by id.
+ * -> { ok, items, removed: [item] } | { ok: false, errors }
+ */
+export function normalizePortfolio(raw, current) {
+  const list = Array.isArray(raw) ? raw : [];
+  if (list.length > MAX_PORTFOLIO_ITEMS) return { ok: false, errors: [`At most ${MAX_PORTFOLIO_ITEMS} photos`] };
+
+  const byId = new Map(current.map((item) => [item.id, item]));
+  const errors = [];
+  const seen = new Set();
+  const items = [];
+  for (const entry of list) {
+    const id = String(entry?.id || "");
+    const prev = byId.get(id);
+    if (!ITEM_ID_RE.test(id) || !prev) {
+      errors.push(`Unknown portfolio item "${id || "?"}"`);
+      continue;
+    }
+    if (seen.has(id)) {
+      errors.push(`Duplicate portfolio item "${id}"`);
+      continue;
+    }
+    seen.add(id);
+
+    const title = sanitizeString(entry.title, 80);
+    const item = {
+      id,
+      title,
+      caption: sanitizeString(entry.caption, 300),
+      style: sanitizeString(entry.style, 40),
+      length: sanitizeString(entry.length, 40),
+      alt: sanitizeString(entry.alt, 120) || (title ? `${title} nails photo` : "Nail set photo"),
+      hidden: Boolean(entry.hidden),
+    };
+    if (prev.image) item.image = prev.image;
+    else if (ASSET_RE.test(prev.src || "")) item.src = prev.src;
+    items.push(item);
+  }
+  if (errors.length) return { ok: false, errors };
+  return { ok: true, items, removed: current.filter((item) => !seen.has(item.id)) };
+}
+
+// Public shape: no upload metadata, one image URL
+export function publicItem(item) {
+  return {
+    id: item.id,
+    title: item.title || "",
+    caption: item.caption || "",
+    style: item.style || "",
+    length: item.length || "",
+    alt: item.alt || "",
+    src: imageUrlFor(item),
+  };
+}
@@ -0,0 +1,96 @@
+// netlify/functions/_priority.js
+
+/**
+ * Lead priority (0–100), computed on every saveLead and kept on the record:
+ *   record.priority = { score, urgency, factors: [{ key, label, points }] }
+ * - urgency (max 40): parsed from availability (and "just browsing" style notes)
+ * - completeness (max 25): service, style, length, availability, detailed notes, inspo photos
+ * - service (max 15): bigger bookings first
+ * - returning client (15): has a client record or is linked to earlier submissions
+ * - removal (5): asked for a removal (longer appointment, clearly ready to book)
+ *
+ * SLA: a `new` lead is overdue once it has waited longer than the configured
+ * number of hours (site settings sla_contact_hours) without being contacted.
+ */
+export const DEFAULT_SLA_HOURS = 24;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// First match wins (order matters: "not this week, just browsing" is browsing)
+const URGENCY_RULES = [
+  { level: "browsing", points: 0, re: /just (browsing|looking)|no rush|not sure (yet|when)|someday|eventually/i },
+  { level: "asap", points: 40, re: /\basap\b|urgent|emergenc|today|tonight|right away|as soon as/i },
+  { level: "soon", points: 30, re: /tomorrow|this week(end)?|\bweekend\b|next (few|couple( of)?) days|within (a|the) week/i },
+  {
+    level: "planned",
+    points: 20,
+    re: /next week|\b(mon|tues?|wed(nes)?|thu(rs?)?|fri|sat(ur)?|sun)(day)?s?\b|\b\d{1,2}\/\d{1,2}\b|\b(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.? \d{1,2}\b|morning|afternoon|evening/i,
+  },
+  { level: "flexible", points: 8, re: /flexible|any ?time|whenever|open|next month/i },
+];
+
+const SERVICE_RULES = [
+  { re: /full set|acrylic|extension|gel-?x/i, points: 15 },
+  { re: /gel|builder|overlay|manicure/i, points: 12 },
+  { re: /art|design|french|chrome/i, points: 10 },
+  { re: /fill|rebalance|touch.?up|removal|soak/i, points: 8 },
+];
+
+export function parseUrgency(availability, notes = "") {
+  const avail = String(availability || "");
+  for (const rule of URGENCY_RULES) {
+    // "just browsing" counts wherever it's said; timing only from availability
+    const hay = rule.level === "browsing" ? `${avail} ${notes || ""}` : avail;
+    if (rule.re.test(hay)) return { level: rule.level, points: rule.points };
+  }
+  return avail ? { level: "planned", points: 20 } : { level: "unknown", points: 12 };
+}
+
+export function computePriority(record) {
+  const lead = record?.lead || {};
+  const factors = [];
+  const add = (key, label, points) => {
+    if (points) factors.push({ key, label, points });
+  };
+
+  const urgency = parseUrgency(lead.availability, lead.notes);
+  add("urgency", `Availability: ${urgency.level}`, urgency.points);
+
+  const service = String(lead.service || "");
+  const knownService = service && !/not sure/i.test(service);
+  const details = [
+    knownService,
+    Boolean(lead.style),
+    Boolean(lead.length),
+    Boolean(lead.availability),
+    String(lead.notes || "").length >= 20,
+    (record?.photos || []).length > 0,
+  ];
+  const filled = details.filter(Boolean).length;
+  add("completeness", `Details: ${filled}/${details.length}`, Math.round((filled / details.length) * 25));
+
+  const serviceRule = knownService ? SERVICE_RULES.find((r) => r.re.test(service)) : null;
+  add("service", `Service: ${knownService ? service : "not chosen"}`, serviceRule ? serviceRule.points : knownService ? 6 : 2);
+
+  if (record?.client_id || record?.duplicate_of || (record?.linked_ids || []).length) add("returning", "Returning client", 15);
+  if (/removal|soak.?off|take off/i.test(`${service} ${lead.notes || ""}`)) add("removal", "Needs removal", 5);
+
+  const score = Math.min(100, factors.reduce((sum, f) => sum + f.points, 0));
+  return { score, urgency: urgency.level, factors };
+}
+
+/**
+ * Works on a full record or an index summary (status, archived, created_at).
+ * -> { due_at, overdue, hours_over } | null when the SLA doesn't apply
+ */
+export function slaState(lead, hours = DEFAULT_SLA_HOURS, nowMs = Date.now()) {
+  if (!lead || lead.archived || String(lead.status || "new") !== "new") return null;
+  const created = Date.parse(lead.created_at || "");
+  if (!Number.isFinite(created)) return null;
+  const due = created + hours * HOUR_MS;
+  return {
+    due_at: new Date(due).toISOString(),
+    overdue: nowMs > due,
+    hours_over: nowMs > due ? Math.floor((nowMs - due) / HOUR_MS) : 0,
+  };
+}
@@ -0,0 +1,303 @@
+// netlify/functions/_privacy.js
+import crypto from "node:crypto";
+
+import {
+  mapLimit,
+  normalizePhone,
+  normalizeInstagram,
+  readLeadIndex,
+  removeFromLeadIndex,
+  contactKeysFor,
+  referrerSource,
+  saveLead,
+} from "./_utils.js";
+import { historyKeyFor, readLeadHistory } from "./_history.js";
+import { getPhotosStore, photoKeyFor } from "./_photos.js";
+import { isPhoneOptedOut } from "./_sms.js";
+import { normalizeEmail } from "./_mail.js";
+import { findClientsByContact, deleteClient } from "./_clients.js";
+import { pruneDeliveryLog } from "./_notify.js";
+
+/**
+ * Data-subject tooling (privacy endpoint + privacy-retention job).
+ * - find: every lead (merged ones included) with the phone or IG handle
+ * - export: full records + history + delivery log entries + client record as JSON
+ * - erase: hard delete of the lead, its history, photos, pointers and log entries
+ * - anonymize: keeps the lead for stats, strips everything that identifies the person
+ * Client records (_clients.js) are deleted by both erase and anonymize; they are all personal data.
+ *
+ * Every action leaves a tombstone at privacy-log/<ISO>_<uuid> with the lead ids and
+ * a hash of the identifier; never the identifier itself.
+ * config/retention -> { closed_lead_days } (0 turns redaction off)
+ * The retention job also drops delivery log entries older than LOG_MAX_AGE_DAYS (_notify.js).
+ */
+export const RETENTION_KEY = "config/retention";
+export const DEFAULT_RETENTION = { closed_lead_days: 365 };
+
+const TOMBSTONE_PREFIX = "privacy-log/";
+const RATE_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000; // longest configurable rate window
+
+export function normalizeRetention(raw) {
+  const n = Number(raw?.closed_lead_days);
+  const days = Number.isInteger(n) ? n : DEFAULT_RETENTION.closed_lead_days;
+  return { closed_lead_days: days <= 0 ? 0 : Math.min(3650, Math.max(30, days)) };
+}
+
+export async function getRetention(store) {
+  const raw = await store.get(RETENTION_KEY, { type: "json" }).catch(() => null);
+  return normalizeRetention(raw || {});
+}
+
+/**
+ * Subject = { phone, instagram, email } normalized like leads-create stores them
+ */
+export function normalizeSubject(raw) {
+  const phone = normalizePhone(raw?.phone);
+  const instagram = normalizeInstagram(raw?.instagram).toLowerCase();
+  const email = normalizeEmail(raw?.email);
+  return { phone, instagram, email };
+}
+
+function subjectHash(subject) {
+  const id = [subject.phone, subject.instagram, subject.email].filter(Boolean).join("|");
+  return id ? crypto.createHash("sha256").update(id).digest("hex").slice(0, 16) : "";
+}
+
+export async function findSubjectLeads(store, subject) {
+  if (!subject.phone && !subject.instagram && !subject.email) return [];
+  const summaries = await readLeadIndex(store);
+  return summaries
+    .filter(
+      (s) =>
+        (subject.phone && s.phone === subject.phone) ||
+        (subject.instagram && String(s.instagram || "").toLowerCase() === subject.instagram) ||
+        (subject.email && String(s.email || "").toLowerCase() === subject.email)
+    )
+    .sort((a, b) => (a.id < b.id ? -1 : 1));
+}
+
+async function logEntriesFor(store, ids) {
+  const { blobs } = await store.list({ prefix: "notify-log/" });
+  const entries = await mapLimit(blobs || [], 5, (b) => store.get(b.key, { type: "json" }).catch(() => null));
+  return entries.filter((e) => e && ids.has(e.lead_id));
+}
+
+// Tokens are only hashes, but they are access credentials; keep them out of exports
+function exportableRecord(record) {
+  const { client_access, photo_upload, ...rest } = record;
+  return rest;
+}
+
+export async function exportSubject(store, subject) {
+  const matches = await findSubjectLeads(store, subject);
+  const ids = new Set(matches.map((s) => s.id));
+  const leads = await mapLimit(matches, 5, async (s) => {
+    const record = await store.get(s.id, { type: "json" });
+    if (!record) return null;
+    return { record: exportableRecord(record), history: await readLeadHistory(store, s.id).catch(() => []) };
+  });
+  const notifications = (await logEntriesFor(store, ids)).map(({ channel, ...e }) => ({ ...e, channel: channel?.type || "" }));
+  return {
+    exported_at: new Date().toISOString(),
+    subject,
+    sms_opted_out: subject.phone ? await isPhoneOptedOut(store, subject.phone) : false,
+    leads: leads.filter(Boolean),
+    clients: await findClientsByContact(store, subject),
+    notifications,
+  };
+}
+
+async function deletePhotos(record) {
+  const photos = Array.isArray(record.photos) ? record.photos : [];
+  if (!photos.length) return 0;
+  const pstore = getPhotosStore();
+  await mapLimit(photos, 3, (p) => pstore.delete(photoKeyFor(p.lead_id || record.id, p.id)).catch(() => {}));
+  return photos.length;
+}
+
+async function deleteLogEntries(store, ids) {
+  const entries = await logEntriesFor(store, ids);
+  await mapLimit(entries, 5, async (e) => {
+    await store.delete(e.id).catch(() => {});
+    await store.delete(`notify-retry/${e.id.slice("notify-log/".length)}`).catch(() => {});
+  });
+  return entries.length;
+}
+
+function rateKeysFor(record) {
+  const lead = record.lead || {};
+  const keys = [`rate/client_${record.id.slice(6).replace(/[^0-9A-Za-z-]/g, "_")}`];
+  const digits = String(lead.phone || "").replace(/\D/g, "");
+  if (digits) keys.push(`rate/phone_${digits}`);
+  const ig = String(lead.instagram || "").replace(/^@/, "").toLowerCase().replace(/[^a-z0-9._]/g, "_");
+  if (ig) keys.push(`rate/ig_${ig}`);
+  const email = String(lead.email || "").toLowerCase().replace(/[^a-z0-9._-]/g, "_");
+  if (email) keys.push(`rate/email_${email}`);
+  return keys;
+}
+
+/**
+ * Strips identifying data in place; status, service, tags, timestamps and the
+ * appointment slot stay so stats keep working. source is frozen before meta goes.
+ */
+export function anonymizeRecord(record, now = new Date()) {
+  const lead = record.lead || {};
+  record.source = record.source || referrerSource(record.meta?.referrer);
+  record.lead = {
+    name: "Redacted",
+    phone: "",
+    instagram: "",
+    email: "",
+    service: lead.service || "",
+    availability: "",
+    notes: "",
+    contact_preference: lead.contact_preference || "",
+  };
+  record.meta = {};
+  record.messages = (record.messages || []).map((m) => ({
+    id: m.id,
+    direction: m.direction,
+    at: m.at,
+    status: m.status,
+    ...(m.automation ? { automation: m.automation } : {}),
+  }));
+  record.suggested_dm = "";
+  record.ai_generations = [];
+  record.internal_notes = "";
+  record.client_notes = [];
+  record.custom = {};
+  record.photos = [];
+  if (record.appointment) record.appointment = { ...record.appointment, confirmation: "" };
+  delete record.client_access;
+  delete record.photo_upload;
+  delete record.spam;
+  delete record.client_id;
+  record.anonymized_at = now.toISOString();
+  record.updated_at = now.toISOString();
+  return record;
+}
+
+async function writeTombstone(store, tomb) {
+  const now = new Date();
+  const key = `${TOMBSTONE_PREFIX}${now.toISOString()}_${crypto.randomUUID()}`;
+  const entry = { id: key, at: now.toISOString(), ...tomb };
+  await store.setJSON(key, entry);
+  return entry;
+}
+
+export async function readTombstones(store, { limit = 50 } = {}) {
+  const { blobs } = await store.list({ prefix: TOMBSTONE_PREFIX });
+  const keys = (blobs || []).map((b) => b.key).sort().reverse().slice(0, limit);
+  const entries = await mapLimit(keys, 5, (k) => store.get(k, { type: "json" }).catch(() => null));
+  return entries.filter(Boolean);
+}
+
+export async function recordExport(store, subject, result, by) {
+  return writeTombstone(store, {
+    action: "export",
+    by,
+    subject_hash: subjectHash(subject),
+    lead_ids: result.leads.map((l) => l.record.id),
+  });
+}
+
+/**
+ * mode: "erase" (hard delete) | "anonymize"
+ * SMS opt-outs are kept on purpose: deleting them would let automations text the number again.
+ */
+export async function forgetSubject(store, subject, mode, by) {
+  const matches = await findSubjectLeads(store, subject);
+  const ids = new Set(matches.map((s) => s.id));
+  const counts = { leads: 0, photos: 0, notifications: 0, clients: 0 };
+
+  await mapLimit(matches, 5, async (s) => {
+    const record = await store.get(s.id, { type: "json" });
+    if (!record) {
+      await removeFromLeadIndex(store, s.id).catch(() => {});
+      return;
+    }
+    counts.photos += await deletePhotos(record);
+    await mapLimit(rateKeysFor(record), 3, (k) => store.delete(k).catch(() => {}));
+    await store.delete(historyKeyFor(record.id)).catch(() => {});
+
+    for (const key of contactKeysFor(record.lead)) {
+      const ptr = await store.get(key, { type: "json" }).catch(() => null);
+      if (!ptr || ids.has(ptr.key)) await store.delete(key).catch(() => {});
+    }
+
+    if (mode === "erase") {
+      await store.delete(record.id);
+      await removeFromLeadIndex(store, record.id).catch(() => {});
+    } else {
+      await saveLead(store, anonymizeRecord(record));
+    }
+    counts.leads += 1;
+  });
+  counts.notifications = await deleteLogEntries(store, ids);
+
+  for (const client of await findClientsByContact(store, subject)) {
+    await deleteClient(store, client);
+    counts.clients += 1;
+  }
+
+  const tombstone = await writeTombstone(store, {
+    action: mode,
+    by,
+    subject_hash: subjectHash(subject),
+    lead_ids: Array.from(ids),
+    counts,
+  });
+  return { counts, tombstone };
+}
+
+/**
+ * Retention pass (privacy-retention, daily):
+ * - rate/ blobs whose last hit is older than the longest rate window
+ * - closed/no-show leads untouched for closed_lead_days get anonymized
+ */
+export async function runRetention(store, now = new Date()) {
+  const { blobs: rateBlobs } = await store.list({ prefix: "rate/" });
+  let ratePurged = 0;
+  await mapLimit(rateBlobs || [], 5, async (b) => {
+    const v = await store.get(b.key, { type: "json" }).catch(() => null);
+    const last = Date.parse(v?.last_submit_at || v?.window_start_at || "");
+    if (!Number.isFinite(last) || now.getTime() - last > RATE_MAX_AGE_MS) {
+      await store.delete(b.key).catch(() => {});
+      ratePurged += 1;
+    }
+  });
+
+  const { closed_lead_days } = await getRetention(store);
+  const redactedIds = [];
+  if (closed_lead_days > 0) {
+    const cutoff = now.getTime() - closed_lead_days * 24 * 60 * 60 * 1000;
+    const summaries = (await readLeadIndex(store)).filter(
+      (s) =>
+        (s.status === "closed" || s.status === "noshow") &&
+        !s.anonymized &&
+        Date.parse(s.closed_at || s.updated_at || s.created_at) < cutoff
+    );
+    await mapLimit(summaries, 1, async (s) => {
+      const record = await store.get(s.id, { type: "json" });
+      if (!record || record.anonymized_at) return;
+      await deletePhotos(record);
+      await store.delete(historyKeyFor(record.id)).catch(() => {});
+      await saveLead(store, anonymizeRecord(record, now));
+      redactedIds.push(record.id);
+    });
+    if (redactedIds.length) await deleteLogEntries(store, new Set(redactedIds));
+  }
+
+  const logPruned = await pruneDeliveryLog(store, now);
+
+  if (ratePurged || redactedIds.length || logPruned) {
+    await writeTombstone(store, {
+      action: "retention",
+      by: "privacy-retention",
+      lead_ids: redactedIds,
+      counts: { rate_purged: ratePurged, leads: redactedIds.length, notifications_pruned: logPruned },
+      closed_lead_days,
+    });
+  }
+  return { rate_purged: ratePurged, redacted: redactedIds.length, notifications_pruned: logPruned, closed_lead_days };
+}
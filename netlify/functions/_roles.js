@@ -0,0 +1,95 @@
+// netlify/functions/_roles.js
+
+/**
+ * Admin roles (highest match wins):
+ * - owner:     everything (settings, privacy, import, tag/field catalog, reindex)
+ * - assistant: works leads: edit, merge, text clients, AI assist, export
+ * - viewer:    read-only; phone / IG / email come back masked
+ *
+ * Who gets which role:
+ * - ADMIN_OWNERS / ADMIN_ASSISTANTS / ADMIN_VIEWERS: comma-separated emails
+ * - Identity app_metadata.roles containing "owner" | "assistant" | "viewer"
+ * - ADMIN_EMAILS / ADMIN_ROLE (the original allowlist) keep meaning owner
+ */
+export const ROLES = ["owner", "assistant", "viewer"];
+
+const ALL = ROLES;
+const STAFF = ["owner", "assistant"];
+const OWNER = ["owner"];
+
+export const PERMISSIONS = {
+  "leads.read": ALL,
+  "leads.contact": STAFF, // unmasked phone / IG / email and their own alert channels
+  "leads.edit": STAFF,
+  "leads.export": STAFF, // leads-export (CSV download)
+  "messages.send": STAFF,
+  "leads.import": OWNER,
+  "settings.manage": OWNER, // also the notification delivery log
+  "privacy.manage": OWNER,
+};
+
+function emailsFrom(name) {
+  return (process.env[name] || "")
+    .split(",")
+    .map((x) => x.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * -> "owner" | "assistant" | "viewer" | "" (not an admin)
+ */
+export function roleFor(user) {
+  const email = String(user?.email || "").toLowerCase();
+  const appRoles = Array.isArray(user?.app_metadata?.roles) ? user.app_metadata.roles : [];
+  const legacyRoles = user?.app_metadata?.roles || user?.user_metadata?.roles || [];
+  const legacyRole = (process.env.ADMIN_ROLE || "").trim();
+
+  const matched = new Set();
+  if (email && emailsFrom("ADMIN_EMAILS").includes(email)) matched.add("owner");
+  if (legacyRole && legacyRoles.includes(legacyRole)) matched.add("owner");
+  if (email && emailsFrom("ADMIN_OWNERS").includes(email)) matched.add("owner");
+  if (email && emailsFrom("ADMIN_ASSISTANTS").includes(email)) matched.add("assistant");
+  if (email && emailsFrom("ADMIN_VIEWERS").includes(email)) matched.add("viewer");
+  for (const r of appRoles) if (ROLES.includes(r)) matched.add(r);
+
+  return ROLES.find((r) => matched.has(r)) || "";
+}
+
+export function can(role, permission) {
+  return Boolean(role && PERMISSIONS[permission]?.includes(role));
+}
+
+export function permissionsFor(role) {
+  return Object.keys(PERMISSIONS).filter((p) => can(role, p));
+}
+
+/**
+ * Viewer masks: enough to tell clients apart, not enough to contact them
+ */
+export function maskPhone(phone) {
+  const digits = String(phone || "").replace(/\D/g, "");
+  return digits ? `•••-•••-${digits.slice(-2).padStart(4, "•")}` : "";
+}
+
+export function maskHandle(ig) {
+  const h = String(ig || "").replace(/^@/, "");
+  return h ? `@${h.slice(0, 1)}•••` : "";
+}
+
+export function maskEmail(email) {
+  const [user, domain] = String(email || "").split("@");
+  return user && domain ? `${user.slice(0, 1)}•••@${domain}` : "";
+}
+
+// Copy of a lead record safe for a viewer (message bodies stay; numbers and device data go)
+export function maskRecord(record) {
+  if (!record) return record;
+  const lead = record.lead || {};
+  const { client_access, photo_upload, meta, ...rest } = record;
+  return {
+    ...rest,
+    lead: { ...lead, phone: maskPhone(lead.phone), instagram: maskHandle(lead.instagram), email: maskEmail(lead.email) },
+    messages: (record.messages || []).map(({ from, to, sid, ...m }) => m),
+    masked: true,
+  };
+}
@@ -0,0 +1,241 @@
+// netlify/functions/_settings.js
+import { sanitizeString, normalizePhone, normalizeInstagram } from "./_utils.js";
+import { DEFAULT_SLA_HOURS } from "./_priority.js";
+
+/**
+ * Site/business settings (edited from admin via site-settings, public subset via site-config):
+ *   config/site          -> { version, settings, updated_at, updated_by }
+ *   config/site-history  -> { entries: [{ version, at, by, changed: [field], settings }] } (newest last, capped)
+ *
+ * Fields missing from the stored blob fall back to SITE_SETTINGS_SCHEMA defaults, so a
+ * fresh deploy behaves exactly like the old hard-coded constants. Spam/rate limits stay
+ * in config/spam (spam-settings).
+ */
+export const SITE_SETTINGS_KEY = "config/site";
+export const SITE_HISTORY_KEY = "config/site-history";
+const MAX_HISTORY = 20;
+
+/**
+ * type: text (one line) | multiline | phone | url | instagram | number (whole, min..max)
+ * public: included in site-config (index.html, status.html)
+ */
+export const SITE_SETTINGS_SCHEMA = {
+  artist_name: {
+    label: "Artist name (as clients should request it)",
+    type: "text",
+    max: 80,
+    required: true,
+    public: true,
+    default: "Ashlee Christensen",
+  },
+  clinic_name: {
+    label: "Clinic name",
+    type: "text",
+    max: 80,
+    required: true,
+    public: true,
+    default: "Paul Mitchell Logan",
+  },
+  clinic_phone: {
+    label: "Clinic booking phone",
+    type: "phone",
+    max: 30,
+    required: true,
+    public: true,
+    default: "(435) 752-3599",
+  },
+  clinic_address: {
+    label: "Clinic address (calendar events and directions links)",
+    type: "text",
+    max: 200,
+    required: true,
+    public: true,
+    default: "Paul Mitchell The School – Logan, 185 E 1250 N Ste. 200, Logan, UT 84341",
+  },
+  booking_url: {
+    label: "Clinic online booking link",
+    type: "url",
+    max: 300,
+    public: true,
+    default: "https://example.com/",
+  },
+  instagram_handle: {
+    label: "Instagram handle",
+    type: "instagram",
+    max: 40,
+    required: true,
+    public: true,
+    default: "ashes_nails_",
+  },
+  booking_script: {
+    label: "Booking script (sent in DMs, alerts and confirmation emails)",
+    type: "multiline",
+    max: 500,
+    required: true,
+    public: true,
+    default:
+      "To schedule, call Paul Mitchell Logan Guest Services at (435) 752-3599 or use their 'Book a Service' option online, and request Ashlee Christensen by name.",
+  },
+  alert_sms_to: {
+    label: "Fallback alert SMS number (used until an admin enables a notification channel)",
+    type: "phone",
+    max: 30,
+    public: false,
+    default: "",
+  },
+  ai_instructions: {
+    label: "AI assistant background (who Ashlee is, booking constraint)",
+    type: "multiline",
+    max: 1500,
+    required: true,
+    public: false,
+    default:
+      "You are Ashlee’s assistant for a nail business in Logan, Utah. " +
+      "Ashlee is a Paul Mitchell student and can only accept bookings through the Paul Mitchell clinic process right now.",
+  },
+  sla_contact_hours: {
+    label: "Reply window for new leads (hours before they show as overdue)",
+    type: "number",
+    min: 1,
+    max: 336,
+    required: true,
+    public: false,
+    default: DEFAULT_SLA_HOURS,
+  },
+};
+
+export const DEFAULT_SITE_SETTINGS = Object.fromEntries(
+  Object.entries(SITE_SETTINGS_SCHEMA).map(([field, def]) => [field, def.default])
+);
+
+function cleanValue(def, raw) {
+  if (def.type === "multiline") {
+    return String(raw ?? "")
+      .replace(/\r\n?/g, "\n")
+      .replace(/[^\S\n]+/g, " ")
+      .replace(/\n{3,}/g, "\n\n")
+      .trim()
+      .slice(0, def.max);
+  }
+  return sanitizeString(raw, def.max);
+}
+
+/**
+ * Strict validation for admin saves (unlike spam settings, bad values are rejected, not clamped).
+ * Unknown fields are ignored; fields left out keep their current value.
+ * -> { ok, settings } | { ok: false, errors }
+ */
+export function validateSiteSettings(raw, current = DEFAULT_SITE_SETTINGS) {
+  const r = raw && typeof raw === "object" ? raw : {};
+  const settings = {};
+  const errors = [];
+
+  for (const [field, def] of Object.entries(SITE_SETTINGS_SCHEMA)) {
+    const given = Object.prototype.hasOwnProperty.call(r, field);
+    if (def.type === "number") {
+      const n = given ? Number(String(r[field] ?? "").trim() || NaN) : current[field] ?? def.default;
+      if (!Number.isInteger(n) || n < def.min || n > def.max) {
+        errors.push(`${def.label}: a whole number from ${def.min} to ${def.max}`);
+        continue;
+      }
+      settings[field] = n;
+      continue;
+    }
+    if (given && r[field] != null && typeof r[field] !== "string") {
+      errors.push(`${def.label}: must be text`);
+      continue;
+    }
+    const value = given ? cleanValue(def, r[field]) : current[field] ?? def.default;
+
+    if (!value) {
+      if (def.required) errors.push(`${def.label}: required`);
+      settings[field] = "";
+      continue;
+    }
+    if (given && String(r[field]).trim().length > def.max) {
+      errors.push(`${def.label}: at most ${def.max} characters`);
+      continue;
+    }
+    if (def.type === "phone" && !normalizePhone(value)) {
+      errors.push(`${def.label}: not a valid phone number`);
+      continue;
+    }
+    if (def.type === "url" && !/^https:\/\/[^\s/]+\.[^\s]+$/i.test(value)) {
+      errors.push(`${def.label}: must be an https:// link`);
+      continue;
+    }
+    if (def.type === "instagram") {
+      const handle = normalizeInstagram(value).replace(/^@/, "");
+      if (!/^[A-Za-z0-9._]{1,30}$/.test(handle)) {
+        errors.push(`${def.label}: not a valid Instagram handle`);
+        continue;
+      }
+      settings[field] = handle;
+      continue;
+    }
+    settings[field] = value;
+  }
+
+  if (errors.length) return { ok: false, errors };
+  return { ok: true, settings };
+}
+
+export async function readSiteSettings(store) {
+  const raw = await store.get(SITE_SETTINGS_KEY, { type: "json" }).catch(() => null);
+  return {
+    version: Number.isInteger(raw?.version) ? raw.version : 0,
+    settings: { ...DEFAULT_SITE_SETTINGS, ...(raw?.settings || {}) },
+    updated_at: raw?.updated_at || "",
+    updated_by: raw?.updated_by || "",
+  };
+}
+
+// Just the values (what consumers need); never throws, defaults on any read failure
+export async function getSiteSettings(store) {
+  try {
+    return (await readSiteSettings(store)).settings;
+  } catch {
+    return { ...DEFAULT_SITE_SETTINGS };
+  }
+}
+
+export async function readSiteHistory(store) {
+  const raw = await store.get(SITE_HISTORY_KEY, { type: "json" }).catch(() => null);
+  return Array.isArray(raw?.entries) ? raw.entries : [];
+}
+
+/**
+ * Save a new version. Callers check expected version first (409 on mismatch);
+ * the previous values are kept in history so any version can be restored.
+ * -> the new stored blob, with changed fields
+ */
+export async function saveSiteSettings(store, current, settings, by) {
+  const changed = Object.keys(SITE_SETTINGS_SCHEMA).filter((f) => settings[f] !== current.settings[f]);
+  const saved = {
+    version: current.version + 1,
+    settings,
+    updated_at: new Date().toISOString(),
+    updated_by: by,
+  };
+  await store.setJSON(SITE_SETTINGS_KEY, saved);
+
+  const entries = await readSiteHistory(store);
+  entries.push({ version: saved.version, at: saved.updated_at, by, changed, settings });
+  await store.setJSON(SITE_HISTORY_KEY, { entries: entries.slice(-MAX_HISTORY) });
+  return { ...saved, changed };
+}
+
+// Public subset for the site pages, plus derived links so pages don't rebuild them
+export function publicSiteSettings(settings) {
+  const out = {};
+  for (const [field, def] of Object.entries(SITE_SETTINGS_SCHEMA)) {
+    if (def.public) out[field] = settings[field] || "";
+  }
+  const tel = normalizePhone(settings.clinic_phone);
+  out.clinic_phone_tel = tel ? `tel:${tel}` : "";
+  out.clinic_maps_url = settings.clinic_address
+    ? `https://www.google.com/maps/search/?api=1&query=${encodeURIComponent(settings.clinic_address)}`
+    : "";
+  out.instagram_url = settings.instagram_handle ? `https://www.instagram.com/${settings.instagram_handle}/` : "";
+  return out;
+}
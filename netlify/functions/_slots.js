@@ -0,0 +1,137 @@
+// netlify/functions/_slots.js
+import crypto from "node:crypto";
+
+import { sanitizeString } from "./_utils.js";
+import { businessTz, normalizeAppointment } from "./_appointments.js";
+import { fitsWindows, parseAvailability } from "./_availability.js";
+
+/**
+ * Open slots (a cancellation at the clinic) offered to waiting leads via open-slots.
+ * slot = { date, time, duration_min, service, start_at } (same shape/rules as an appointment)
+ * Offers are recorded on each lead, newest last:
+ *   record.offers = [{ id, slot: { date, time, duration_min, service, start_at }, channel: "sms" | "dm",
+ *                      status: "sent" | "draft" | "failed", error?, at, by }]
+ *
+ * Candidates: new / contacted leads, plus waitlisted leads that aren't booked or closed.
+ * Leads whose parsed availability rules the slot out are left off the list.
+ */
+const MAX_OFFERS = 20;
+
+export const DEFAULT_OFFER_TEMPLATE =
+  "Hi {first}! A {service} spot just opened with {artist} on {when}. Want it? {booking}";
+
+const CLOSED_STATUSES = new Set(["booked", "closed", "noshow", "quarantine"]);
+
+// -> { ok, slot } | { ok: false, error }; slots in the past are rejected
+export function normalizeSlot(raw) {
+  const checked = normalizeAppointment({ ...(raw && typeof raw === "object" ? raw : {}), confirmation: "" });
+  if (!checked.ok) return { ok: false, error: checked.error.replace("appointment", "slot") };
+  const { date, time, duration_min, service, start_at } = checked.appointment;
+  if (Date.parse(start_at) < Date.now()) return { ok: false, error: "That slot is in the past" };
+  return { ok: true, slot: { date, time, duration_min, service, start_at } };
+}
+
+export function sameSlot(a, b) {
+  return Boolean(a && b && a.start_at === b.start_at);
+}
+
+// Works on index summaries: is this lead worth offering a slot to?
+export function isSlotCandidate(summary) {
+  if (!summary || summary.archived || summary.merged_into || summary.anonymized) return false;
+  const status = String(summary.status || "new");
+  if (status === "new" || status === "contacted") return true;
+  return Boolean(summary.waitlist) && !CLOSED_STATUSES.has(status);
+}
+
+function wordsOf(text) {
+  return String(text || "").toLowerCase().match(/[a-z]{3,}/g) || [];
+}
+
+/**
+ * Score one lead for one slot -> { score, reasons: [] } | null (availability rules it out)
+ * - availability: inside a parsed window 50, says flexible 35, unparsed text 15, none given 20
+ * - waitlist opt-in 20; service overlap 15; lead priority up to 15
+ */
+export function rankLeadForSlot(record, slot) {
+  const parsed = record.availability_windows || parseAvailability(record.lead?.availability);
+  const day = new Date(`${slot.date}T00:00:00Z`).getUTCDay();
+  const reasons = [];
+  let score = 0;
+
+  if (fitsWindows(parsed.windows, day, slot.time)) {
+    score += 50;
+    reasons.push(`Free then (${record.lead.availability})`);
+  } else if (parsed.flexible) {
+    score += 35;
+    reasons.push("Flexible");
+  } else if (parsed.windows.length) {
+    return null;
+  } else if (record.lead?.availability) {
+    score += 15;
+    reasons.push(`Check: "${record.lead.availability}"`);
+  } else {
+    score += 20;
+    reasons.push("No availability given");
+  }
+
+  if (record.waitlist) {
+    score += 20;
+    reasons.push("On the waitlist");
+  }
+
+  const wanted = wordsOf(record.lead?.service).filter((w) => w !== "not" && w !== "sure");
+  const offered = new Set(wordsOf(slot.service));
+  if (wanted.length && wanted.some((w) => offered.has(w))) {
+    score += 15;
+    reasons.push(`Wants ${record.lead.service}`);
+  }
+
+  const priority = Number(record.priority?.score || 0);
+  score += Math.round(priority * 0.15);
+
+  return { score, reasons };
+}
+
+function formatSlotWhen(slot) {
+  return new Intl.DateTimeFormat("en-US", {
+    timeZone: businessTz(),
+    weekday: "short",
+    month: "short",
+    day: "numeric",
+    hour: "numeric",
+    minute: "2-digit",
+  }).format(new Date(slot.start_at));
+}
+
+/**
+ * Fill {first} {when} {service} {artist} {clinic} {booking} {phone}; texts get the STOP line
+ */
+export function renderOfferText(template, record, slot, site, channel) {
+  const first = sanitizeString(record?.lead?.name, 40).split(/\s+/)[0] || "there";
+  const values = {
+    first,
+    when: formatSlotWhen(slot),
+    service: slot.service || "nail",
+    artist: site.artist_name,
+    clinic: site.clinic_name,
+    booking: site.booking_script,
+    phone: site.clinic_phone,
+  };
+  let text = String(template || DEFAULT_OFFER_TEMPLATE).replace(/\{(\w+)\}/g, (m, key) => values[key] ?? m);
+  if (channel === "sms" && !/reply stop/i.test(text)) text += " Reply STOP to opt out.";
+  return sanitizeString(text, 1600);
+}
+
+export function recordOffer(record, { slot, channel, status, error, by }) {
+  const offer = {
+    id: crypto.randomUUID(),
+    slot: { date: slot.date, time: slot.time, duration_min: slot.duration_min, service: slot.service, start_at: slot.start_at },
+    channel,
+    status,
+    at: new Date().toISOString(),
+    by: by || "",
+  };
+  if (error) offer.error = sanitizeString(error, 200);
+  record.offers = [...(Array.isArray(record.offers) ? record.offers : []), offer].slice(-MAX_OFFERS);
+  return offer;
+}
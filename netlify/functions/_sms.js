@@ -0,0 +1,123 @@
+// netlify/functions/_sms.js
+import twilio from "twilio";
+import crypto from "node:crypto";
+
+import { sanitizeString } from "./_utils.js";
+import { businessTz } from "./_appointments.js";
+
+/**
+ * Twilio client (null when env vars are missing)
+ */
+export function getTwilioClient() {
+  const sid = process.env.TWILIO_ACCOUNT_SID;
+  const token = process.env.TWILIO_AUTH_TOKEN;
+  if (!sid || !token) return null;
+  return twilio(sid, token);
+}
+
+export function twilioFromNumber() {
+  return process.env.TWILIO_FROM_NUMBER || "";
+}
+
+export async function sendSms({ to, body }) {
+  const client = getTwilioClient();
+  const from = twilioFromNumber();
+  if (!client || !from || !to) {
+    return { ok: false, error: "Twilio env vars missing" };
+  }
+
+  const msg = await client.messages.create({ from, to, body });
+  return { ok: true, sid: msg?.sid || "", status: msg?.status || "" };
+}
+
+/**
+ * Inbound webhook signature check (X-Twilio-Signature).
+ * Twilio signs the exact public URL configured on the number; set
+ * TWILIO_WEBHOOK_URL if the function sits behind a rewrite.
+ */
+export function verifyTwilioSignature(req, params) {
+  const token = process.env.TWILIO_AUTH_TOKEN;
+  const signature = req.headers.get("x-twilio-signature") || "";
+  if (!token || !signature) return false;
+
+  const url = process.env.TWILIO_WEBHOOK_URL || req.url;
+  return twilio.validateRequest(token, signature, url, params);
+}
+
+export function twimlResponse() {
+  return new Response("<?xml version=\"1.0\" encoding=\"UTF-8\"?><Response></Response>", {
+    status: 200,
+    headers: { "Content-Type": "text/xml; charset=utf-8" },
+  });
+}
+
+/**
+ * Opt-out (STOP/START keywords). Twilio also blocks at the carrier level; we
+ * mirror it so automations and the admin composer skip the number.
+ * sms-optout/<digits> covers every lead that shares the phone.
+ */
+const STOP_RE = /^\s*(stop|stopall|unsubscribe|cancel|end|quit)\s*[.!]?\s*$/i;
+const START_RE = /^\s*(start|unstop|yes)\s*[.!]?\s*$/i;
+
+export function optOutKeyword(body) {
+  if (STOP_RE.test(String(body || ""))) return "stop";
+  if (START_RE.test(String(body || ""))) return "start";
+  return "";
+}
+
+export function optOutKeyFor(phone) {
+  const digits = String(phone || "").replace(/\D/g, "");
+  return digits ? `sms-optout/${digits}` : "";
+}
+
+export async function isPhoneOptedOut(store, phone) {
+  const k = optOutKeyFor(phone);
+  if (!k) return false;
+  const v = await store.get(k, { type: "json" }).catch(() => null);
+  return Boolean(v?.opted_out);
+}
+
+export async function setPhoneOptOut(store, phone, optedOut) {
+  const k = optOutKeyFor(phone);
+  if (!k) return;
+  if (optedOut) await store.setJSON(k, { opted_out: true, at: new Date().toISOString() });
+  else await store.delete(k);
+}
+
+/**
+ * Quiet hours in the clinic's timezone: QUIET_HOURS="21-9" (start-end, 24h clock)
+ */
+export function isQuietHours(now = new Date()) {
+  const m = /^(\d{1,2})-(\d{1,2})$/.exec(process.env.QUIET_HOURS || "21-9");
+  if (!m) return false;
+  const start = Number(m[1]);
+  const end = Number(m[2]);
+  const hour = Number(
+    new Intl.DateTimeFormat("en-US", { timeZone: businessTz(), hour: "numeric", hourCycle: "h23" }).format(now)
+  );
+  return start > end ? hour >= start || hour < end : hour >= start && hour < end;
+}
+
+/**
+ * Conversation thread stored on the lead record: record.messages[]
+ */
+const MAX_MESSAGES = 200;
+
+export function appendMessage(record, msg) {
+  const messages = Array.isArray(record.messages) ? record.messages : [];
+  const entry = {
+    id: crypto.randomUUID(),
+    direction: msg.direction === "in" ? "in" : "out",
+    body: sanitizeString(msg.body, 1600),
+    at: msg.at || new Date().toISOString(),
+    from: sanitizeString(msg.from, 30),
+    to: sanitizeString(msg.to, 30),
+    sid: sanitizeString(msg.sid, 64),
+    status: sanitizeString(msg.status, 30),
+  };
+  if (msg.by) entry.by = sanitizeString(msg.by, 120);
+  if (msg.automation) entry.automation = sanitizeString(msg.automation, 40);
+
+  record.messages = [...messages, entry].slice(-MAX_MESSAGES);
+  return entry;
+}
@@ -0,0 +1,229 @@
+// netlify/functions/_spam.js
+import crypto from "node:crypto";
+
+import {
+  sanitizeString,
+  normalizePhone,
+  normalizeInstagram,
+  getClientIp,
+  rateKeyForIp,
+  isHoneypotTripped,
+} from "./_utils.js";
+
+/**
+ * Spam settings: config/spam (editable from admin via spam-settings)
+ */
+export const SPAM_SETTINGS_KEY = "config/spam";
+
+export const DEFAULT_SPAM_SETTINGS = {
+  ip_limit: { max: 3, window_min: 10 },
+  contact_limit: { max: 3, window_min: 24 * 60 },
+  min_submit_seconds: 3,
+  blocked_numbers: [], // E.164, or a prefix ending in "*" (e.g. "+1900*")
+  blocked_instagram: [],
+  blocked_keywords: [],
+  blocklist_action: "quarantine", // or "reject"
+};
+
+function clampInt(v, min, max, fallback) {
+  const n = Number(v);
+  return Number.isInteger(n) ? Math.min(max, Math.max(min, n)) : fallback;
+}
+
+function cleanList(v, maxItems, fn) {
+  const arr = Array.isArray(v) ? v : String(v || "").split(/[\n,]/);
+  return Array.from(new Set(arr.map(fn).filter(Boolean))).slice(0, maxItems);
+}
+
+export function normalizeSpamSettings(raw) {
+  const r = raw && typeof raw === "object" ? raw : {};
+  const d = DEFAULT_SPAM_SETTINGS;
+  return {
+    ip_limit: {
+      max: clampInt(r.ip_limit?.max, 1, 100, d.ip_limit.max),
+      window_min: clampInt(r.ip_limit?.window_min, 1, 1440, d.ip_limit.window_min),
+    },
+    contact_limit: {
+      max: clampInt(r.contact_limit?.max, 1, 100, d.contact_limit.max),
+      window_min: clampInt(r.contact_limit?.window_min, 1, 10080, d.contact_limit.window_min),
+    },
+    min_submit_seconds: clampInt(r.min_submit_seconds, 0, 120, d.min_submit_seconds),
+    blocked_numbers: cleanList(r.blocked_numbers, 500, (x) => {
+      const s = sanitizeString(x, 30);
+      if (s.endsWith("*")) return /^\+?\d{1,14}\*$/.test(s) ? (s.startsWith("+") ? s : `+${s}`) : "";
+      return normalizePhone(s);
+    }),
+    blocked_instagram: cleanList(r.blocked_instagram, 500, (x) => normalizeInstagram(x).toLowerCase()),
+    blocked_keywords: cleanList(r.blocked_keywords, 200, (x) => sanitizeString(x, 60).toLowerCase()),
+    blocklist_action: r.blocklist_action === "reject" ? "reject" : "quarantine",
+  };
+}
+
+export async function getSpamSettings(store) {
+  const raw = await store.get(SPAM_SETTINGS_KEY, { type: "json" }).catch(() => null);
+  return normalizeSpamSettings(raw || {});
+}
+
+/**
+ * Time-to-submit token: "<issued ms>.<nonce>.<hmac>" from leads-token when the
+ * chat modal opens. Needs FORM_TOKEN_SECRET; without it the check is skipped.
+ * Valid for FORM_TOKEN_MAX_AGE_MS and for one submission: used signatures are kept
+ * as rate/token_<sig> (purged by privacy-retention with the other rate/ blobs).
+ */
+export const FORM_TOKEN_MAX_AGE_MS = 2 * 60 * 60 * 1000;
+
+function tokenSecret() {
+  return process.env.FORM_TOKEN_SECRET || "";
+}
+
+function sign(payload) {
+  return crypto.createHmac("sha256", tokenSecret()).update(payload).digest("base64url");
+}
+
+export function issueFormToken(now = Date.now()) {
+  if (!tokenSecret()) return "";
+  const payload = `${now}.${crypto.randomBytes(9).toString("base64url")}`;
+  return `${payload}.${sign(payload)}`;
+}
+
+export function verifyFormToken(token, now = Date.now()) {
+  const parts = String(token || "").split(".");
+  if (parts.length !== 3) return { ok: false, error: "missing" };
+  const payload = `${parts[0]}.${parts[1]}`;
+  const expected = Buffer.from(sign(payload));
+  const got = Buffer.from(parts[2]);
+  if (expected.length !== got.length || !crypto.timingSafeEqual(expected, got)) {
+    return { ok: false, error: "bad signature" };
+  }
+  const issued = Number(parts[0]);
+  if (!Number.isFinite(issued) || issued > now + 60 * 1000) return { ok: false, error: "bad timestamp" };
+  if (now - issued > FORM_TOKEN_MAX_AGE_MS) return { ok: false, error: "expired" };
+  return { ok: true, age_ms: now - issued, signature: parts[2] };
+}
+
+// -> true when this token was already used; otherwise marks it used
+export async function consumeFormToken(store, signature, now = new Date()) {
+  const key = `rate/token_${signature}`;
+  try {
+    if (await store.get(key, { type: "json" })) return true;
+    await store.setJSON(key, { used_at: now.toISOString(), last_submit_at: now.toISOString() });
+  } catch {
+    // best effort, like the rate limits
+  }
+  return false;
+}
+
+/**
+ * Fixed-window counter persisted in Blobs: { window_start_at, count, last_submit_at }
+ * Returns true when this hit is over the limit. Best effort: storage errors allow.
+ */
+export async function hitRateLimit(store, key, { max, window_min }, now = new Date()) {
+  if (!key) return false;
+  try {
+    const windowMs = window_min * 60 * 1000;
+    const nowMs = now.getTime();
+    const prev = await store.get(key, { type: "json" });
+    const windowStartMs = prev?.window_start_at ? Date.parse(prev.window_start_at) : 0;
+    const count = Number(prev?.count || 0);
+    const inWindow = windowStartMs && (nowMs - windowStartMs) < windowMs;
+    if (inWindow && count >= max) return true;
+    await store.setJSON(key, {
+      window_start_at: inWindow ? new Date(windowStartMs).toISOString() : now.toISOString(),
+      count: inWindow ? (count + 1) : 1,
+      last_submit_at: now.toISOString(),
+    });
+  } catch {
+    // If rate limit read/write fails, continue (best effort)
+  }
+  return false;
+}
+
+function contactRateKeys(lead) {
+  const keys = [];
+  const digits = String(lead.phone || "").replace(/\D/g, "");
+  if (digits) keys.push(`rate/phone_${digits}`);
+  const ig = String(lead.instagram || "").replace(/^@/, "").toLowerCase().replace(/[^a-z0-9._]/g, "_");
+  if (ig) keys.push(`rate/ig_${ig}`);
+  const email = String(lead.email || "").toLowerCase().replace(/[^a-z0-9._-]/g, "_");
+  if (email) keys.push(`rate/email_${email}`);
+  return keys;
+}
+
+function numberBlocked(phone, list) {
+  if (!phone) return false;
+  return list.some((x) => (x.endsWith("*") ? phone.startsWith(x.slice(0, -1)) : phone === x));
+}
+
+/**
+ * Checks run in order. Each returns null (pass) or
+ * { action: "reject" | "quarantine", reason, status?, error? }.
+ * Add a check by appending to SPAM_CHECKS.
+ */
+export const SPAM_CHECKS = [
+  {
+    name: "honeypot",
+    run: ({ body }) =>
+      isHoneypotTripped(body) ? { action: "reject", reason: "honeypot", status: 400, error: "Spam detected" } : null,
+  },
+  {
+    name: "ip_rate_limit",
+    run: async ({ store, req, context, settings, now }) => {
+      const ip = getClientIp(req, context);
+      const over = await hitRateLimit(store, ip ? rateKeyForIp(ip) : "", settings.ip_limit, now);
+      return over ? { action: "reject", reason: "ip rate limit", status: 429, error: "Too many requests" } : null;
+    },
+  },
+  {
+    name: "contact_rate_limit",
+    run: async ({ store, lead, settings, now }) => {
+      for (const key of contactRateKeys(lead)) {
+        if (await hitRateLimit(store, key, settings.contact_limit, now)) {
+          return { action: "reject", reason: "contact rate limit", status: 429, error: "Too many requests" };
+        }
+      }
+      return null;
+    },
+  },
+  {
+    name: "submit_timing",
+    run: async ({ store, body, settings, now }) => {
+      if (!tokenSecret() || !settings.min_submit_seconds) return null;
+      const v = verifyFormToken(body?.form_token, now.getTime());
+      if (!v.ok) return { action: "quarantine", reason: `form token ${v.error}` };
+      if (await consumeFormToken(store, v.signature, now)) return { action: "quarantine", reason: "form token reused" };
+      if (v.age_ms < settings.min_submit_seconds * 1000) return { action: "quarantine", reason: "submitted too fast" };
+      return null;
+    },
+  },
+  {
+    name: "blocklists",
+    run: ({ lead, settings }) => {
+      const action = settings.blocklist_action;
+      if (numberBlocked(lead.phone, settings.blocked_numbers)) return { action, reason: "blocked number" };
+      if (lead.instagram && settings.blocked_instagram.includes(lead.instagram.toLowerCase())) {
+        return { action, reason: "blocked instagram" };
+      }
+      const hay = [lead.name, lead.notes, lead.service, lead.availability, lead.style].join(" ").toLowerCase();
+      const kw = settings.blocked_keywords.find((k) => hay.includes(k));
+      if (kw) return { action, reason: `blocked keyword "${kw}"` };
+      return null;
+    },
+  },
+];
+
+/**
+ * -> { action: "allow" | "quarantine" | "reject", reasons, status?, error? }
+ * A reject stops the pipeline; quarantine reasons accumulate.
+ */
+export async function runSpamPipeline(ctx, checks = SPAM_CHECKS) {
+  const reasons = [];
+  for (const check of checks) {
+    const out = await check.run(ctx);
+    if (!out) continue;
+    reasons.push(out.reason || check.name);
+    if (out.action === "reject") {
+      return { action: "reject", reasons, status: out.status || 400, error: out.error || "Request rejected" };
+    }
+  }
+  return { action: reasons.length ? "quarantine" : "allow", reasons };
+}
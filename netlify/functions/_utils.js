@@ -2,6 +2,10 @@
 import { getStore } from "@netlify/blobs";
 import crypto from "node:crypto";
 
+import { can, roleFor } from "./_roles.js";
+import { computePriority } from "./_priority.js";
+import { parseAvailability } from "./_availability.js";
+
 /**
  * CORS + JSON helpers
  */
@@ -20,8 +24,9 @@ export function corsHeaders() {
   const origin = preferredOrigin();
   return {
     "Access-Control-Allow-Origin": origin || "*",
-    "Access-Control-Allow-Headers": "Content-Type, Authorization",
+    "Access-Control-Allow-Headers": "Content-Type, Authorization, If-Match, X-Upload-Token",
     "Access-Control-Allow-Methods": "GET, POST, PATCH, OPTIONS",
+    "Access-Control-Expose-Headers": "ETag",
   };
 }
 
@@ -67,6 +72,351 @@ export function assertLeadKey(key) {
   return typeof key === "string" && key.length < 220 && LEAD_KEY_RE.test(key);
 }
 
+/**
+ * Lead writes: keep blob metadata in sync with the record
+ */
+export function leadMetadata(record) {
+  return {
+    status: String(record?.status || "new"),
+    archived: record?.archived ? "true" : "false",
+  };
+}
+
+/**
+ * Every write bumps record.rev; leads-update compares it (If-Match / rev) to
+ * refuse stale edits. Blobs has no compare-and-swap, so this narrows rather
+ * than closes the race window.
+ */
+export function leadEtag(record) {
+  return `"${Number(record?.rev || 0)}"`;
+}
+
+export function parseIfMatch(req) {
+  const raw = (req.headers.get("if-match") || "").trim();
+  if (!raw || raw === "*") return null;
+  const n = Number(raw.replace(/^W\//, "").replace(/"/g, ""));
+  return Number.isInteger(n) && n >= 0 ? n : null;
+}
+
+export async function saveLead(store, record) {
+  record.rev = Number(record.rev || 0) + 1;
+  // Recomputed on every write so edits (availability, photos, links) re-rank / re-match the lead
+  record.priority = computePriority(record);
+  record.availability_windows = parseAvailability(record.lead?.availability);
+  await store.setJSON(record.id, record, { metadata: leadMetadata(record) });
+
+  // Keep the listing index in sync (best effort; leads-reconcile repairs drift daily)
+  try {
+    await upsertLeadIndex(store, record);
+  } catch (e) {
+    console.error("lead index write failed", record.id, e?.message || e);
+  }
+}
+
+/**
+ * Sharded summary indexes (leads: lead-index/, clients: client-index/):
+ *   <prefix>shards/<n>            -> { entries: { <id>: summary } }, n < INDEX_SHARDS
+ *   <prefix>pending/<id>@<rev>    -> summary written by a save ({ id, removed: true } at @removed)
+ * Saves only ever add a pending blob, so concurrent writers can't drop each other's rows, and
+ * a read costs INDEX_SHARDS gets plus whatever is still pending (newest rev wins, removals
+ * always win). leads-reconcile folds pending rows into the shards every hour.
+ * spec.marker records a completed rebuild; an index without one is rebuilt on first read.
+ */
+const INDEX_SHARDS = 16;
+
+function shardOf(id) {
+  return crypto.createHash("sha1").update(String(id)).digest()[0] % INDEX_SHARDS;
+}
+
+function shardKey(spec, n) {
+  return `${spec.prefix}shards/${String(n).padStart(2, "0")}`;
+}
+
+function pendingKey(spec, id, tag) {
+  return `${spec.prefix}pending/${String(id).slice(String(id).indexOf("/") + 1)}@${tag}`;
+}
+
+function mergeIndexRows(entries, rows) {
+  const removed = new Set(rows.filter((r) => r?.removed).map((r) => r.id));
+  for (const row of rows) {
+    if (!row?.id || row.removed) continue;
+    const current = entries[row.id];
+    if (!current || Number(row.rev || 0) >= Number(current.rev || 0)) entries[row.id] = row;
+  }
+  for (const id of removed) delete entries[id];
+  return entries;
+}
+
+async function readPendingRows(store, spec) {
+  const { blobs } = await store.list({ prefix: `${spec.prefix}pending/` });
+  const keys = blobs.map((b) => b.key);
+  const rows = await mapLimit(keys, 20, (key) => store.get(key, { type: "json" }).catch(() => null));
+  return { keys, rows };
+}
+
+export async function writeIndexEntry(store, spec, summary) {
+  await store.setJSON(pendingKey(spec, summary.id, Number(summary.rev || 0)), summary);
+}
+
+export async function removeIndexEntry(store, spec, id) {
+  await store.setJSON(pendingKey(spec, id, "removed"), { id, removed: true });
+}
+
+export async function readIndex(store, spec) {
+  const marker = await store.get(spec.marker, { type: "json" }).catch(() => null);
+  if (marker?.shards !== INDEX_SHARDS) await spec.rebuild(store);
+
+  const shardKeys = Array.from({ length: INDEX_SHARDS }, (_, n) => shardKey(spec, n));
+  const [shards, pending] = await Promise.all([
+    mapLimit(shardKeys, INDEX_SHARDS, (key) => store.get(key, { type: "json" }).catch(() => null)),
+    readPendingRows(store, spec),
+  ]);
+  const entries = {};
+  for (const shard of shards) Object.assign(entries, shard?.entries);
+  return Object.values(mergeIndexRows(entries, pending.rows));
+}
+
+/**
+ * Folds pending rows into their shards. Run from one place only (leads-reconcile):
+ * two compactions at once could each rewrite a shard without the other's rows.
+ */
+export async function compactIndex(store, spec) {
+  const pending = await readPendingRows(store, spec);
+  const byShard = new Map();
+  for (const row of pending.rows) {
+    if (!row?.id) continue;
+    const n = shardOf(row.id);
+    byShard.set(n, [...(byShard.get(n) || []), row]);
+  }
+  await mapLimit(Array.from(byShard), 4, async ([n, rows]) => {
+    const shard = await store.get(shardKey(spec, n), { type: "json" }).catch(() => null);
+    await store.setJSON(shardKey(spec, n), { entries: mergeIndexRows(shard?.entries || {}, rows) });
+  });
+  await mapLimit(pending.keys, 10, (key) => store.delete(key));
+  return { folded: pending.keys.length };
+}
+
+/**
+ * Rewrites every shard from loadSummaries() and clears everything else under the prefix.
+ * Keys are listed first: pending rows written before the records are read are already in
+ * them, and rows written after survive to be merged on read.
+ */
+export async function rebuildIndex(store, spec, loadSummaries) {
+  const { blobs } = await store.list({ prefix: spec.prefix });
+  const summaries = await loadSummaries();
+
+  const shards = Array.from({ length: INDEX_SHARDS }, () => ({ entries: {} }));
+  for (const s of summaries) shards[shardOf(s.id)].entries[s.id] = s;
+  await mapLimit(shards, 4, (shard, n) => store.setJSON(shardKey(spec, n), shard));
+
+  const keep = new Set(shards.map((_, n) => shardKey(spec, n)));
+  const stale = blobs.map((b) => b.key).filter((key) => !keep.has(key));
+  await mapLimit(stale, 10, (key) => store.delete(key));
+
+  await store.setJSON(spec.marker, { built_at: new Date().toISOString(), entries: summaries.length, shards: INDEX_SHARDS });
+  return { entries: summaries.length, removed: stale.length };
+}
+
+/**
+ * Lead summary index: leads-list, stats, appointments etc. filter/sort/paginate on it
+ * without reading every full record. leads-reconcile also rebuilds it daily from the
+ * records to repair any index write that failed.
+ */
+const LEGACY_INDEX_PREFIX = "index/";
+export const LEAD_INDEX = {
+  prefix: "lead-index/",
+  marker: "config/lead-index",
+  rebuild: (store) => rebuildLeadIndex(store),
+};
+
+// Acquisition source for stats: utm_source if present, else referrer host, else "direct"
+export function referrerSource(referrer) {
+  const raw = String(referrer || "").trim();
+  if (!raw) return "direct";
+  try {
+    const u = new URL(raw);
+    const utm = sanitizeString(u.searchParams.get("utm_source"), 40).toLowerCase();
+    return utm || u.hostname.replace(/^www\./, "").toLowerCase() || "direct";
+  } catch {
+    return "other";
+  }
+}
+
+export function leadSummary(record) {
+  const lead = record?.lead || {};
+  return {
+    id: record.id,
+    rev: Number(record.rev || 0),
+    created_at: record.created_at || "",
+    updated_at: record.updated_at || "",
+    status: String(record.status || "new"),
+    archived: Boolean(record.archived),
+    name: lead.name || "",
+    phone: lead.phone || "",
+    instagram: lead.instagram || "",
+    email: lead.email || "",
+    service: lead.service || "",
+    // Free text for leads-list search
+    availability: lead.availability || "",
+    notes: lead.notes || "",
+    internal_notes: record.internal_notes || "",
+    tags: Array.isArray(record.tags) ? record.tags : [],
+    custom: record.custom || {},
+    appointment_at: record.appointment?.start_at || "",
+    contacted_at: record.contacted_at || "",
+    closed_at: record.closed_at || "",
+    contact_preference: lead.contact_preference || "",
+    source: record.source || referrerSource(record.meta?.referrer),
+    duplicate_of: record.duplicate_of || "",
+    client_id: record.client_id || "",
+    waitlist: Boolean(record.waitlist),
+    merged_into: record.merged_into || "",
+    anonymized: Boolean(record.anonymized_at),
+    priority: (record.priority || computePriority(record)).score,
+  };
+}
+
+export async function upsertLeadIndex(store, record) {
+  if (!assertLeadKey(record?.id)) return;
+  await writeIndexEntry(store, LEAD_INDEX, leadSummary(record));
+}
+
+export async function removeFromLeadIndex(store, id) {
+  if (!assertLeadKey(id)) return;
+  await removeIndexEntry(store, LEAD_INDEX, id);
+}
+
+/**
+ * Rebuilds the lead index from the full records (dropping the old index/<YYYY-MM> shards)
+ * and points any phone / IG / email lookup that is missing or dangling at its newest lead.
+ */
+export async function rebuildLeadIndex(store) {
+  let records = [];
+  const built = await rebuildIndex(store, LEAD_INDEX, async () => {
+    const { blobs } = await store.list({ prefix: "leads/" });
+    records = (await mapLimit(blobs.map((b) => b.key), 20, (key) => store.get(key, { type: "json" }).catch(() => null)))
+      .filter((r) => assertLeadKey(r?.id));
+    return records.map(leadSummary);
+  });
+
+  const legacy = await store.list({ prefix: LEGACY_INDEX_PREFIX });
+  await mapLimit(legacy.blobs.map((b) => b.key), 10, (key) => store.delete(key));
+
+  const live = new Set(records.map((r) => r.id));
+  const newest = new Map(); // contact key -> lead id (records are listed oldest first)
+  for (const r of records) {
+    if (r.merged_into || r.anonymized_at || r.status === "quarantine") continue;
+    for (const key of contactKeysFor(r.lead)) newest.set(key, r.id);
+  }
+  await mapLimit(Array.from(newest), 10, async ([key, id]) => {
+    const ptr = await store.get(key, { type: "json" }).catch(() => null);
+    if (!live.has(ptr?.key)) await store.setJSON(key, { key: id });
+  });
+
+  return { leads: built.entries, removed: built.removed + legacy.blobs.length };
+}
+
+/**
+ * All summaries, newest first (built on first use)
+ */
+export async function readLeadIndex(store) {
+  const items = await readIndex(store, LEAD_INDEX);
+  return items.filter((s) => assertLeadKey(s.id)).sort((a, b) => (a.id > b.id ? -1 : 1));
+}
+
+/**
+ * Likely duplicates of a lead: same normalized phone, IG handle or email
+ * (case-insensitive). Leads already merged away are skipped. Oldest first.
+ */
+export function findDuplicates(summaries, lead, excludeId = "") {
+  const phone = lead?.phone || "";
+  const ig = String(lead?.instagram || "").toLowerCase();
+  const email = String(lead?.email || "").toLowerCase();
+  if (!phone && !ig && !email) return [];
+  return summaries
+    .filter((s) => s.id !== excludeId && !s.merged_into)
+    .filter(
+      (s) =>
+        (phone && s.phone === phone) ||
+        (ig && String(s.instagram || "").toLowerCase() === ig) ||
+        (email && String(s.email || "").toLowerCase() === email)
+    )
+    .sort((a, b) => (a.id < b.id ? -1 : 1));
+}
+
+/**
+ * Contact lookups, each -> { key } of the newest lead with that contact:
+ *   phones/<digits>, handles/<instagram>, emails/<address>
+ * leads-create points them at each new lead; rebuildLeadIndex fills in missing ones.
+ */
+export function phoneKeyFor(phone) {
+  const digits = String(phone || "").replace(/\D/g, "");
+  return digits ? `phones/${digits}` : "";
+}
+
+export function handleKeyFor(instagram) {
+  const handle = String(instagram || "").replace(/^@/, "").toLowerCase().replace(/[^a-z0-9._]/g, "_");
+  return handle ? `handles/${handle}` : "";
+}
+
+export function emailKeyFor(email) {
+  const address = String(email || "").trim().toLowerCase().replace(/[^a-z0-9._@+-]/g, "_");
+  return address ? `emails/${address}` : "";
+}
+
+export function contactKeysFor(lead) {
+  return [phoneKeyFor(lead?.phone), handleKeyFor(lead?.instagram), emailKeyFor(lead?.email)].filter(Boolean);
+}
+
+// onlyIfMissing keeps an existing claim (imports of old leads)
+export async function pointContactsAt(store, lead, id, { onlyIfMissing = false } = {}) {
+  for (const key of contactKeysFor(lead)) {
+    try {
+      if (onlyIfMissing && (await store.get(key, { type: "json" }))) continue;
+      await store.setJSON(key, { key: id });
+    } catch {
+      // best effort; rebuildLeadIndex fills in missing pointers
+    }
+  }
+}
+
+/**
+ * Likely duplicates of a new lead through the contact lookups (no index scan): the leads
+ * they point at, plus the earlier lead each of those was linked to. Leads merged away
+ * count as their survivor. -> [{ id }] oldest first
+ */
+export async function findDuplicatesByContact(store, lead, excludeId = "") {
+  const wanted = contactKeysFor(lead);
+  const ptrs = await Promise.all(wanted.map((key) => store.get(key, { type: "json" }).catch(() => null)));
+  const hits = Array.from(new Set(ptrs.map((p) => p?.key).filter((id) => assertLeadKey(id) && id !== excludeId)));
+  const records = await Promise.all(hits.map((id) => store.get(id, { type: "json" }).catch(() => null)));
+
+  const ids = new Set();
+  for (const r of records) {
+    // Pointers can lag behind an edited contact
+    if (!r?.lead || r.anonymized_at || !contactKeysFor(r.lead).some((key) => wanted.includes(key))) continue;
+    ids.add(r.merged_into || r.id);
+    if (r.duplicate_of) ids.add(r.duplicate_of);
+  }
+  ids.delete(excludeId);
+  return Array.from(ids).filter(assertLeadKey).sort().map((id) => ({ id }));
+}
+
+export async function findLeadKeyByPhone(store, phone) {
+  const pk = phoneKeyFor(phone);
+  if (!pk) return "";
+
+  const ptr = await store.get(pk, { type: "json" }).catch(() => null);
+  if (ptr && assertLeadKey(ptr.key)) return ptr.key;
+
+  // Leads created before the pointer existed: search the summary index, then backfill.
+  const summaries = await readLeadIndex(store);
+  const hit = summaries.find((s) => s.phone && s.phone === phone);
+  if (!hit) return "";
+  await store.setJSON(pk, { key: hit.id });
+  return hit.id;
+}
+
 /**
  * Safe JSON parse
  */
@@ -173,34 +523,23 @@ export function requireJwt(req, context) {
 }
 
 /**
- * Allowlist by ADMIN_EMAILS and/or ADMIN_ROLE
+ * Admin roles (see _roles.js): owner / assistant / viewer.
+ * permission defaults to "leads.read", which every role has.
  */
-export function requireAdmin(context) {
+export function requireAdmin(context, permission = "leads.read") {
   const user = context?.clientContext?.user;
   if (!user) return { ok: false, status: 401, error: "Unauthorized" };
 
   const email = (user.email || "").toLowerCase();
+  const roles = user?.app_metadata?.roles || user?.user_metadata?.roles || [];
+  const role = roleFor(user);
 
-  const allow = (process.env.ADMIN_EMAILS || "")
-    .split(",")
-    .map((x) => x.trim().toLowerCase())
-    .filter(Boolean);
-
-  const requiredRole = (process.env.ADMIN_ROLE || "").trim();
-
-  const roles =
-    user?.app_metadata?.roles ||
-    user?.user_metadata?.roles ||
-    [];
-
-  const emailAllowed = allow.length > 0 ? allow.includes(email) : false;
-  const roleAllowed = requiredRole ? roles.includes(requiredRole) : false;
-
-  if (!emailAllowed && !roleAllowed) {
-    return { ok: false, status: 403, error: "Forbidden" };
+  if (!role) return { ok: false, status: 403, error: "Forbidden" };
+  if (!can(role, permission)) {
+    return { ok: false, status: 403, error: `Your role (${role}) can't do this` };
   }
 
-  return { ok: true, user: { email, roles } };
+  return { ok: true, user: { email, roles, role } };
 }
 
 /**
@@ -0,0 +1,29 @@
+// netlify/functions/admin-me.js
+import { json, handleOptions, requireJwt, requireAdmin } from "./_utils.js";
+import { permissionsFor } from "./_roles.js";
+
+/**
+ * Signed-in admin's role, so admin.html can show only what they may do.
+ * GET -> { email, role, permissions: [...] }
+ */
+export default async (req, context) => {
+  const opt = handleOptions(req);
+  if (opt) return opt;
+
+  if (req.method !== "GET") return json(405, { ok: false, error: "Method not allowed" });
+
+  // Require Bearer token + verified identity user
+  const jwt = requireJwt(req, context);
+  if (!jwt.ok) return json(jwt.status, { ok: false, error: jwt.error });
+
+  // Enforce admin allowlist/role
+  const admin = requireAdmin(context);
+  if (!admin.ok) return json(admin.status, { ok: false, error: admin.error });
+
+  return json(200, {
+    ok: true,
+    email: admin.user.email,
+    role: admin.user.role,
+    permissions: permissionsFor(admin.user.role),
+  });
+};
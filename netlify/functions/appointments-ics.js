@@ -0,0 +1,42 @@
+// netlify/functions/appointments-ics.js
+import { getLeadsStore, mapLimit, readLeadIndex } from "./_utils.js";
+import { buildIcs, checkFeedToken } from "./_appointments.js";
+import { getSiteSettings } from "./_settings.js";
+
+/**
+ * Subscribable calendar feed of booked appointments: GET ?token=<CALENDAR_FEED_TOKEN>
+ * Calendar apps cannot send a Bearer JWT, so the unguessable URL is the credential.
+ */
+const PAST_DAYS = 30;
+
+export default async (req) => {
+  if (req.method !== "GET") return new Response("Method not allowed", { status: 405 });
+
+  const url = new URL(req.url);
+  if (!checkFeedToken(url.searchParams.get("token"))) {
+    return new Response("Not found", { status: 404 });
+  }
+
+  const sinceMs = Date.now() - PAST_DAYS * 24 * 60 * 60 * 1000;
+
+  const store = getLeadsStore();
+  const summaries = await readLeadIndex(store);
+  const withAppt = summaries.filter((s) => {
+    const t = Date.parse(s.appointment_at || "");
+    return !s.archived && s.status === "booked" && Number.isFinite(t) && t >= sinceMs;
+  });
+
+  const records = await mapLimit(withAppt, 10, async (s) => {
+    return await store.get(s.id, { type: "json" });
+  });
+
+  const site = await getSiteSettings(store);
+  return new Response(buildIcs(records.filter(Boolean), { location: site.clinic_address }), {
+    status: 200,
+    headers: {
+      "Content-Type": "text/calendar; charset=utf-8",
+      "Content-Disposition": "inline; filename=\"ashlee-appointments.ics\"",
+      "Cache-Control": "private, max-age=300",
+    },
+  });
+};
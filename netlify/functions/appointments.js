@@ -0,0 +1,76 @@
+// netlify/functions/appointments.js
+import {
+  json,
+  handleOptions,
+  getLeadsStore,
+  requireJwt,
+  requireAdmin,
+  mapLimit,
+  readLeadIndex,
+  originFromReq,
+} from "./_utils.js";
+import { can, maskHandle, maskPhone } from "./_roles.js";
+
+/**
+ * Upcoming appointments (booked leads with appointment.start_at >= now).
+ * ?days=N limits the window (default 60, max 365); ?include_archived=true keeps archived leads.
+ * Viewers get masked phone/IG and no calendar feed link.
+ */
+export default async (req, context) => {
+  const opt = handleOptions(req);
+  if (opt) return opt;
+
+  if (req.method !== "GET") return json(405, { ok: false, error: "Method not allowed" });
+
+  // Require Bearer token + verified identity user
+  const jwt = requireJwt(req, context);
+  if (!jwt.ok) return json(jwt.status, { ok: false, error: jwt.error });
+
+  // Enforce admin allowlist/role
+  const admin = requireAdmin(context);
+  if (!admin.ok) return json(admin.status, { ok: false, error: admin.error });
+
+  const url = new URL(req.url);
+  const days = Math.min(365, Math.max(1, Number(url.searchParams.get("days") || "60")));
+  const includeArchived = (url.searchParams.get("include_archived") || "").toLowerCase() === "true";
+
+  const nowMs = Date.now();
+  const untilMs = nowMs + days * 24 * 60 * 60 * 1000;
+
+  const store = getLeadsStore();
+  const summaries = await readLeadIndex(store);
+
+  const upcoming = summaries
+    .filter((s) => includeArchived || !s.archived)
+    .filter((s) => s.status === "booked")
+    .filter((s) => {
+      const t = Date.parse(s.appointment_at || "");
+      return Number.isFinite(t) && t >= nowMs && t <= untilMs;
+    })
+    .sort((a, b) => (a.appointment_at < b.appointment_at ? -1 : 1));
+
+  const records = await mapLimit(upcoming, 10, async (s) => {
+    return await store.get(s.id, { type: "json" });
+  });
+
+  const seesContact = can(admin.user.role, "leads.contact");
+  const appointments = records
+    .filter((r) => r?.appointment)
+    .map((r) => ({
+      id: r.id,
+      status: r.status,
+      name: r.lead?.name || "",
+      phone: seesContact ? r.lead?.phone || "" : maskPhone(r.lead?.phone),
+      instagram: seesContact ? r.lead?.instagram || "" : maskHandle(r.lead?.instagram),
+      appointment: r.appointment,
+    }));
+
+  // Subscribe URL for Ashlee's calendar app (only when the feed is configured)
+  const token = process.env.CALENDAR_FEED_TOKEN || "";
+  const origin = originFromReq(req);
+  const ics_url = token && origin && seesContact
+    ? `${origin}/.netlify/functions/appointments-ics?token=${encodeURIComponent(token)}`
+    : "";
+
+  return json(200, { ok: true, days, appointments, ics_url });
+};
@@ -0,0 +1,166 @@
+// netlify/functions/clients.js
+import {
+  json,
+  handleOptions,
+  getLeadsStore,
+  requireJwt,
+  requireAdmin,
+  readJsonSafe,
+  assertLeadKey,
+  sanitizeString,
+  normalizePhone,
+  normalizeInstagram,
+  mapLimit,
+  saveLead,
+} from "./_utils.js";
+import { can, maskEmail, maskHandle, maskPhone } from "./_roles.js";
+import { normalizeEmail } from "./_mail.js";
+import {
+  DUE_SOON_DAYS,
+  isClientId,
+  readClientIndex,
+  saveClient,
+  normalizePreferences,
+  normalizeVisit,
+  fillState,
+  localDate,
+  upsertClientFromLead,
+} from "./_clients.js";
+
+/**
+ * Client records (see _clients.js)
+ * GET                -> { clients: [summary + fill_state], due: [summaries due for a fill, soonest first], today }
+ * GET ?id=<client>   -> { client, leads: [{ id, created_at, status, service }] }
+ * POST { action: "from_lead", lead_id }                    -> creates/links the client for a booked lead
+ * POST { action: "update", id, rev?, client: { name, phone, instagram, email, preferences, fill_interval_days } }
+ * POST { action: "add_visit", id, visit: { date, service, notes } }
+ * POST { action: "remove_visit", id, visit_id }
+ * Reading needs leads.read (contact details masked without leads.contact); changes need leads.edit.
+ */
+function maskClient(client, seesContact) {
+  if (seesContact) return client;
+  return {
+    ...client,
+    phone: maskPhone(client.phone),
+    instagram: maskHandle(client.instagram),
+    email: maskEmail(client.email),
+    masked: true,
+  };
+}
+
+async function loadClient(store, id) {
+  if (!isClientId(id)) return null;
+  return await store.get(id, { type: "json" }).catch(() => null);
+}
+
+function applyClientEdit(client, raw) {
+  const r = raw && typeof raw === "object" ? raw : {};
+  const out = { ...client };
+  if (r.name != null) {
+    out.name = sanitizeString(r.name, 80);
+    if (!out.name) throw new Error("Name is required");
+  }
+  if (r.phone != null) {
+    out.phone = normalizePhone(r.phone);
+    if (String(r.phone).trim() && !out.phone) throw new Error("Invalid phone number");
+  }
+  if (r.instagram != null) out.instagram = normalizeInstagram(r.instagram);
+  if (r.email != null) {
+    out.email = normalizeEmail(r.email);
+    if (String(r.email).trim() && !out.email) throw new Error("Invalid email address");
+  }
+  if (!out.phone && !out.instagram && !out.email) throw new Error("Keep at least one of phone, instagram or email");
+  if (r.preferences != null) out.preferences = normalizePreferences(r.preferences, client.preferences);
+  if (r.fill_interval_days != null) {
+    const days = Number(r.fill_interval_days);
+    if (!Number.isInteger(days) || days < 7 || days > 120) throw new Error("Fill interval must be 7–120 days");
+    out.fill_interval_days = days;
+  }
+  return out;
+}
+
+export default async (req, context) => {
+  const opt = handleOptions(req);
+  if (opt) return opt;
+
+  if (req.method !== "GET" && req.method !== "POST") {
+    return json(405, { ok: false, error: "Method not allowed" });
+  }
+
+  // Require Bearer token + verified identity user
+  const jwt = requireJwt(req, context);
+  if (!jwt.ok) return json(jwt.status, { ok: false, error: jwt.error });
+
+  // Enforce admin allowlist/role
+  const admin = requireAdmin(context, req.method === "GET" ? "leads.read" : "leads.edit");
+  if (!admin.ok) return json(admin.status, { ok: false, error: admin.error });
+
+  const store = getLeadsStore();
+  const seesContact = can(admin.user.role, "leads.contact");
+
+  if (req.method === "GET") {
+    const id = new URL(req.url).searchParams.get("id") || "";
+    if (id) {
+      const client = await loadClient(store, id);
+      if (!client) return json(404, { ok: false, error: "Client not found" });
+      const leads = await mapLimit(client.lead_ids || [], 5, async (leadId) => {
+        const r = await store.get(leadId, { type: "json" }).catch(() => null);
+        return r ? { id: r.id, created_at: r.created_at, status: r.status, service: r.lead?.service || "" } : null;
+      });
+      return json(200, {
+        ok: true,
+        client: { ...maskClient(client, seesContact), fill_state: fillState(client) },
+        leads: leads.filter(Boolean),
+      });
+    }
+
+    const today = localDate();
+    const clients = (await readClientIndex(store)).map((c) => ({ ...maskClient(c, seesContact), fill_state: fillState(c, today) }));
+    const due = clients
+      .filter((c) => c.fill_state)
+      .sort((a, b) => (a.next_fill_due < b.next_fill_due ? -1 : a.next_fill_due > b.next_fill_due ? 1 : 0));
+    return json(200, { ok: true, today, due_soon_days: DUE_SOON_DAYS, clients, due });
+  }
+
+  const body = await readJsonSafe(req);
+  if (!body || typeof body !== "object") return json(400, { ok: false, error: "Invalid JSON body" });
+  const by = admin.user.email;
+
+  if (body.action === "from_lead") {
+    if (!assertLeadKey(body.lead_id)) return json(400, { ok: false, error: "Invalid lead id" });
+    const record = await store.get(body.lead_id, { type: "json" });
+    if (!record) return json(404, { ok: false, error: "Lead not found" });
+    if (record.status !== "booked") return json(400, { ok: false, error: "Only booked leads become clients" });
+    const client = await upsertClientFromLead(store, record, by);
+    await saveLead(store, record);
+    return json(200, { ok: true, client: maskClient(client, seesContact), lead: record });
+  }
+
+  const client = await loadClient(store, body.id);
+  if (!client) return json(404, { ok: false, error: "Client not found" });
+  if (body.rev != null && Number(body.rev) !== Number(client.rev || 0)) {
+    return json(409, { ok: false, error: "Client was changed by someone else", current: maskClient(client, seesContact) });
+  }
+
+  let next;
+  if (body.action === "update") {
+    try {
+      next = applyClientEdit(client, body.client);
+    } catch (e) {
+      return json(400, { ok: false, error: e?.message || "Invalid client" });
+    }
+  } else if (body.action === "add_visit") {
+    const checked = normalizeVisit(body.visit, by);
+    if (!checked.ok) return json(400, { ok: false, error: checked.error });
+    next = { ...client, visits: [...(client.visits || []), checked.visit] };
+  } else if (body.action === "remove_visit") {
+    const visitId = sanitizeString(body.visit_id, 64);
+    if (!(client.visits || []).some((v) => v.id === visitId)) return json(404, { ok: false, error: "Visit not found" });
+    next = { ...client, visits: client.visits.filter((v) => v.id !== visitId) };
+  } else {
+    return json(400, { ok: false, error: "action must be from_lead, update, add_visit or remove_visit" });
+  }
+
+  const saved = await saveClient(store, next, client);
+  return json(200, { ok: true, client: { ...maskClient(saved, seesContact), fill_state: fillState(saved) } });
+};
@@ -0,0 +1,65 @@
+// netlify/functions/intake-flow.js
+import {
+  json,
+  handleOptions,
+  getLeadsStore,
+  requireJwt,
+  requireAdmin,
+  readJsonSafe,
+} from "./_utils.js";
+import {
+  INTAKE_FLOW_KEY,
+  INTAKE_FIELDS,
+  DEFAULT_INTAKE_FLOW,
+  getIntakeFlow,
+  normalizeIntakeFlow,
+} from "./_intake.js";
+
+/**
+ * GET  (public) -> { flow } used by the chat on index.html
+ * POST (admin)  -> { flow } validates + saves; { reset: true } restores the default
+ */
+export default async (req, context) => {
+  const opt = handleOptions(req);
+  if (opt) return opt;
+
+  const store = getLeadsStore();
+
+  if (req.method === "GET") {
+    const flow = await getIntakeFlow(store);
+    return json(200, { ok: true, flow, fields: INTAKE_FIELDS }, { "Cache-Control": "public, max-age=60" });
+  }
+
+  if (req.method !== "POST") return json(405, { ok: false, error: "Method not allowed" });
+
+  // Require Bearer token + verified identity user
+  const jwt = requireJwt(req, context);
+  if (!jwt.ok) return json(jwt.status, { ok: false, error: jwt.error });
+
+  // Enforce admin allowlist/role
+  const admin = requireAdmin(context, "settings.manage");
+  if (!admin.ok) return json(admin.status, { ok: false, error: admin.error });
+
+  const body = await readJsonSafe(req);
+  if (!body || typeof body !== "object") return json(400, { ok: false, error: "Invalid JSON body" });
+
+  if (body.reset) {
+    await store.delete(INTAKE_FLOW_KEY);
+    return json(200, { ok: true, flow: normalizeIntakeFlow(DEFAULT_INTAKE_FLOW).flow });
+  }
+
+  const checked = normalizeIntakeFlow(body.flow);
+  if (!checked.ok) {
+    return json(400, { ok: false, error: "Invalid flow", errors: checked.errors });
+  }
+
+  const current = await getIntakeFlow(store);
+  const flow = { ...checked.flow, version: (current.version || 0) + 1 };
+  await store.setJSON(INTAKE_FLOW_KEY, {
+    ...flow,
+    updated_at: new Date().toISOString(),
+    updated_by: admin.user.email,
+  });
+
+  return json(200, { ok: true, flow });
+};
@@ -0,0 +1,54 @@
+// netlify/functions/lead-fields.js
+import {
+  json,
+  handleOptions,
+  getLeadsStore,
+  requireJwt,
+  requireAdmin,
+  readJsonSafe,
+} from "./_utils.js";
+import { CUSTOM_FIELDS_KEY, FIELD_TYPES, getFieldDefs, normalizeFieldDefs } from "./_fields.js";
+
+/**
+ * Custom lead fields (admin)
+ * GET  -> { fields, types }
+ * POST { fields } -> replaces the definitions (validated). A removed field stops being
+ *      shown, filtered or exported; its stored values go the next time that lead's fields are saved.
+ */
+export default async (req, context) => {
+  const opt = handleOptions(req);
+  if (opt) return opt;
+
+  if (req.method !== "GET" && req.method !== "POST") {
+    return json(405, { ok: false, error: "Method not allowed" });
+  }
+
+  // Require Bearer token + verified identity user
+  const jwt = requireJwt(req, context);
+  if (!jwt.ok) return json(jwt.status, { ok: false, error: jwt.error });
+
+  // Enforce admin allowlist/role
+  const admin = requireAdmin(context, req.method === "GET" ? "leads.read" : "settings.manage");
+  if (!admin.ok) return json(admin.status, { ok: false, error: admin.error });
+
+  const store = getLeadsStore();
+
+  if (req.method === "GET") {
+    return json(200, { ok: true, fields: await getFieldDefs(store), types: FIELD_TYPES });
+  }
+
+  const body = await readJsonSafe(req);
+  if (!body || typeof body !== "object" || !Array.isArray(body.fields)) {
+    return json(400, { ok: false, error: "Invalid JSON body" });
+  }
+
+  const checked = normalizeFieldDefs(body.fields);
+  if (!checked.ok) return json(400, { ok: false, error: "Invalid fields", errors: checked.errors });
+
+  await store.setJSON(CUSTOM_FIELDS_KEY, {
+    fields: checked.fields,
+    updated_at: new Date().toISOString(),
+    updated_by: admin.user.email,
+  });
+  return json(200, { ok: true, fields: checked.fields, types: FIELD_TYPES });
+};
@@ -0,0 +1,52 @@
+// netlify/functions/lead-photo.js
+import {
+  json,
+  handleOptions,
+  getLeadsStore,
+  requireJwt,
+  requireAdmin,
+  assertLeadKey,
+  corsHeaders,
+} from "./_utils.js";
+import { getPhotosStore, photoKeyFor, isPhotoId } from "./_photos.js";
+
+/**
+ * Admin-only photo bytes: GET ?id=<lead id>&photo=<photo id>
+ * The photo must be listed on the lead (merged leads keep the original owner in lead_id).
+ */
+export default async (req, context) => {
+  const opt = handleOptions(req);
+  if (opt) return opt;
+
+  if (req.method !== "GET") return json(405, { ok: false, error: "Method not allowed" });
+
+  // Require Bearer token + verified identity user
+  const jwt = requireJwt(req, context);
+  if (!jwt.ok) return json(jwt.status, { ok: false, error: jwt.error });
+
+  // Enforce admin allowlist/role
+  const admin = requireAdmin(context);
+  if (!admin.ok) return json(admin.status, { ok: false, error: admin.error });
+
+  const url = new URL(req.url);
+  const id = url.searchParams.get("id") || "";
+  const photoId = url.searchParams.get("photo") || "";
+  if (!assertLeadKey(id) || !isPhotoId(photoId)) return json(400, { ok: false, error: "Invalid id" });
+
+  const record = await getLeadsStore().get(id, { type: "json" });
+  const photo = (record?.photos || []).find((p) => p.id === photoId);
+  if (!photo) return json(404, { ok: false, error: "Photo not found" });
+
+  const bytes = await getPhotosStore().get(photoKeyFor(photo.lead_id || id, photoId), { type: "arrayBuffer" });
+  if (!bytes) return json(404, { ok: false, error: "Photo not found" });
+
+  return new Response(bytes, {
+    status: 200,
+    headers: {
+      ...corsHeaders(),
+      "Content-Type": photo.content_type || "application/octet-stream",
+      "Cache-Control": "private, max-age=3600",
+      "X-Content-Type-Options": "nosniff",
+    },
+  });
+};
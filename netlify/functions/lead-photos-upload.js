@@ -0,0 +1,77 @@
+// netlify/functions/lead-photos-upload.js
+import crypto from "node:crypto";
+
+import {
+  json,
+  handleOptions,
+  getLeadsStore,
+  assertLeadKey,
+  isPayloadTooLarge,
+  saveLead,
+} from "./_utils.js";
+import {
+  getPhotosStore,
+  photoKeyFor,
+  checkPhotoUploadToken,
+  sanitizeImage,
+  MAX_PHOTOS_PER_LEAD,
+  MAX_PHOTO_BYTES,
+} from "./_photos.js";
+
+/**
+ * Public: attach one inspo photo to a just-created lead.
+ * POST ?id=<lead id>, raw image body, X-Upload-Token: <photo_token from leads-create>
+ * Type is sniffed from the bytes; EXIF/XMP/text metadata is stripped before storing.
+ */
+export default async (req) => {
+  const opt = handleOptions(req);
+  if (opt) return opt;
+
+  if (req.method !== "POST") return json(405, { ok: false, error: "Method not allowed" });
+
+  if (isPayloadTooLarge(req, MAX_PHOTO_BYTES)) {
+    return json(413, { ok: false, error: "Photo is larger than 5 MB" });
+  }
+
+  const id = new URL(req.url).searchParams.get("id") || "";
+  if (!assertLeadKey(id)) return json(400, { ok: false, error: "Invalid lead id" });
+
+  const store = getLeadsStore();
+  const record = await store.get(id, { type: "json" });
+  if (!record || !checkPhotoUploadToken(record, req.headers.get("x-upload-token"))) {
+    return json(403, { ok: false, error: "Upload link expired or invalid" });
+  }
+
+  const photos = Array.isArray(record.photos) ? record.photos : [];
+  if (photos.length >= MAX_PHOTOS_PER_LEAD) {
+    return json(400, { ok: false, error: `Up to ${MAX_PHOTOS_PER_LEAD} photos per request` });
+  }
+
+  let buf;
+  try {
+    buf = Buffer.from(await req.arrayBuffer());
+  } catch {
+    return json(400, { ok: false, error: "Unreadable upload" });
+  }
+
+  const img = sanitizeImage(buf);
+  if (!img.ok) return json(400, { ok: false, error: img.error });
+
+  const photo = {
+    id: crypto.randomUUID(),
+    lead_id: id,
+    content_type: img.type,
+    size: img.bytes.length,
+    uploaded_at: new Date().toISOString(),
+  };
+
+  await getPhotosStore().set(photoKeyFor(id, photo.id), img.bytes, {
+    metadata: { content_type: photo.content_type, size: photo.size, lead_id: id, uploaded_at: photo.uploaded_at },
+  });
+
+  record.photos = [...photos, photo];
+  record.updated_at = photo.uploaded_at;
+  await saveLead(store, record);
+
+  return json(200, { ok: true, photo, remaining: MAX_PHOTOS_PER_LEAD - record.photos.length });
+};
@@ -0,0 +1,107 @@
+// netlify/functions/lead-status.js
+import {
+  json,
+  handleOptions,
+  getLeadsStore,
+  readJsonSafe,
+  sanitizeString,
+  isPayloadTooLarge,
+  saveLead,
+} from "./_utils.js";
+import { snapshotOf, recordLeadEvent } from "./_history.js";
+import { hitRateLimit } from "./_spam.js";
+import { leadIdFromClientToken, checkClientToken, clientView } from "./_client.js";
+
+/**
+ * Public client status page backend (status.html).
+ * GET  ?t=<client token>                     -> { view }
+ * POST { t, action: "note", text }           -> adds a note for Ashlee
+ * POST { t, action: "availability", availability }
+ * POST { t, action: "withdraw" }             -> closes the request
+ * Changes are recorded in the lead history as by "client".
+ */
+const CLIENT_LIMIT = { max: 20, window_min: 60 };
+const MAX_CLIENT_NOTES = 20;
+
+async function loadByToken(store, token) {
+  const id = leadIdFromClientToken(token);
+  if (!id) return null;
+  const record = await store.get(id, { type: "json" });
+  if (!record || record.merged_into || !checkClientToken(record, token)) return null;
+  return record;
+}
+
+export default async (req) => {
+  const opt = handleOptions(req);
+  if (opt) return opt;
+
+  if (req.method !== "GET" && req.method !== "POST") {
+    return json(405, { ok: false, error: "Method not allowed" });
+  }
+
+  const store = getLeadsStore();
+  const noStore = { "Cache-Control": "no-store" };
+
+  if (req.method === "GET") {
+    const record = await loadByToken(store, new URL(req.url).searchParams.get("t"));
+    if (!record) return json(404, { ok: false, error: "This link is invalid or has expired" }, noStore);
+    return json(200, { ok: true, view: clientView(record) }, noStore);
+  }
+
+  if (isPayloadTooLarge(req, 5000)) return json(413, { ok: false, error: "Payload too large" });
+
+  const body = await readJsonSafe(req);
+  if (!body || typeof body !== "object") return json(400, { ok: false, error: "Invalid JSON body" });
+
+  const record = await loadByToken(store, body.t);
+  if (!record) return json(404, { ok: false, error: "This link is invalid or has expired" }, noStore);
+
+  const now = new Date();
+  const limited = await hitRateLimit(store, `rate/client_${record.id.slice(6).replace(/[^0-9A-Za-z-]/g, "_")}`, CLIENT_LIMIT, now);
+  if (limited) return json(429, { ok: false, error: "Too many requests" });
+
+  if (!clientView(record).can_edit) {
+    return json(409, { ok: false, error: "This request can no longer be changed online" });
+  }
+
+  const before = snapshotOf(record);
+  const nowIso = now.toISOString();
+  let changes;
+
+  if (body.action === "note") {
+    const text = sanitizeString(body.text, 1000);
+    if (!text) return json(400, { ok: false, error: "Note is empty" });
+    record.client_notes = [...(record.client_notes || []), { at: nowIso, text }].slice(-MAX_CLIENT_NOTES);
+    changes = { client_note: { before: null, after: text } };
+  } else if (body.action === "availability") {
+    const availability = sanitizeString(body.availability, 160);
+    if (!availability) return json(400, { ok: false, error: "Availability is empty" });
+    changes = { availability: { before: record.lead?.availability || null, after: availability } };
+    record.lead = { ...(record.lead || {}), availability };
+  } else if (body.action === "withdraw") {
+    record.withdrawn_at = nowIso;
+    record.status = "closed";
+    if (!record.closed_at) record.closed_at = nowIso;
+  } else {
+    return json(400, { ok: false, error: "Unknown action" });
+  }
+
+  record.updated_at = nowIso;
+  record.client_updated_at = nowIso;
+  await saveLead(store, record);
+
+  try {
+    await recordLeadEvent(store, record.id, {
+      by: "client",
+      action: "client",
+      before,
+      after: snapshotOf(record),
+      changes,
+      extra: { client_action: body.action },
+    });
+  } catch {
+    // best effort; the lead itself is saved
+  }
+
+  return json(200, { ok: true, view: clientView(record) }, noStore);
+};
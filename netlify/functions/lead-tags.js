@@ -0,0 +1,137 @@
+// netlify/functions/lead-tags.js
+import {
+  json,
+  handleOptions,
+  getLeadsStore,
+  requireJwt,
+  requireAdmin,
+  readJsonSafe,
+  sanitizeString,
+  mapLimit,
+  readLeadIndex,
+  saveLead,
+} from "./_utils.js";
+import { snapshotOf, diffSnapshots, recordLeadEvent } from "./_history.js";
+import { DEFAULT_TAG_COLOR, TAG_CATALOG_KEY, canonicalTags, getTagCatalog, normalizeTagCatalog } from "./_fields.js";
+
+/**
+ * Tag catalog (admin)
+ * GET  -> { tags: catalog, usage: [{ tag, count }] } (usage = exact spellings on leads)
+ * POST { tags }                               -> replaces the catalog (validated)
+ * POST { action: "merge", from: [...], to }    -> rewrites every lead carrying any "from"
+ *      tag (any case) to "to"; rename is a merge with one source. The sources become
+ *      aliases of "to" so later edits land on the same spelling.
+ */
+const lower = (s) => String(s || "").toLowerCase();
+
+function tagUsage(summaries) {
+  const counts = new Map();
+  for (const s of summaries) {
+    for (const t of s.tags || []) counts.set(t, (counts.get(t) || 0) + 1);
+  }
+  return Array.from(counts, ([tag, count]) => ({ tag, count })).sort(
+    (a, b) => b.count - a.count || a.tag.localeCompare(b.tag)
+  );
+}
+
+async function saveCatalog(store, tags, by) {
+  await store.setJSON(TAG_CATALOG_KEY, { tags, updated_at: new Date().toISOString(), updated_by: by });
+}
+
+// Catalog after folding the sources (and their aliases) into "to"
+function mergedCatalog(catalog, from, to) {
+  const sources = new Set(from.map(lower));
+  const target = catalog.find((t) => lower(t.name) === lower(to));
+  const folded = catalog.filter((t) => t !== target && sources.has(lower(t.name)));
+  const aliases = new Set([...(target?.aliases || []), ...from.map(lower)]);
+  for (const t of folded) t.aliases.forEach((a) => aliases.add(a));
+  aliases.delete(lower(to));
+
+  const keep = catalog
+    .filter((t) => t !== target && !folded.includes(t))
+    .map((t) => ({ ...t, aliases: t.aliases.filter((a) => !sources.has(a)) }));
+  const next = {
+    name: target?.name || to,
+    color: target?.color || folded[0]?.color || DEFAULT_TAG_COLOR,
+    aliases: Array.from(aliases),
+  };
+  return [...keep, next].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+async function mergeTags(store, from, to, by) {
+  const sources = new Set(from.map(lower));
+  const summaries = (await readLeadIndex(store)).filter((s) => (s.tags || []).some((t) => sources.has(lower(t))));
+
+  const checked = normalizeTagCatalog(mergedCatalog(await getTagCatalog(store), from, to));
+  if (!checked.ok) return { ok: false, errors: checked.errors };
+
+  let updated = 0;
+  await mapLimit(summaries, 5, async (s) => {
+    const existing = await store.get(s.id, { type: "json" });
+    if (!existing) return;
+    const tags = canonicalTags(
+      (existing.tags || []).map((t) => (sources.has(lower(t)) ? to : t)),
+      checked.tags
+    );
+    const next = { ...existing, tags, updated_at: new Date().toISOString() };
+    await saveLead(store, next);
+    updated += 1;
+
+    const before = snapshotOf(existing);
+    const after = snapshotOf(next);
+    const changes = diffSnapshots(before, after);
+    if (Object.keys(changes).length) {
+      try {
+        await recordLeadEvent(store, s.id, { by, action: "tag-merge", before, after, changes });
+      } catch {
+        // best effort; the lead itself is saved
+      }
+    }
+  });
+
+  await saveCatalog(store, checked.tags, by);
+  return { ok: true, updated, tags: checked.tags };
+}
+
+export default async (req, context) => {
+  const opt = handleOptions(req);
+  if (opt) return opt;
+
+  if (req.method !== "GET" && req.method !== "POST") {
+    return json(405, { ok: false, error: "Method not allowed" });
+  }
+
+  // Require Bearer token + verified identity user
+  const jwt = requireJwt(req, context);
+  if (!jwt.ok) return json(jwt.status, { ok: false, error: jwt.error });
+
+  // Enforce admin allowlist/role
+  const admin = requireAdmin(context, req.method === "GET" ? "leads.read" : "settings.manage");
+  if (!admin.ok) return json(admin.status, { ok: false, error: admin.error });
+
+  const store = getLeadsStore();
+
+  if (req.method === "GET") {
+    const [tags, summaries] = await Promise.all([getTagCatalog(store), readLeadIndex(store)]);
+    return json(200, { ok: true, tags, usage: tagUsage(summaries) });
+  }
+
+  const body = await readJsonSafe(req);
+  if (!body || typeof body !== "object") return json(400, { ok: false, error: "Invalid JSON body" });
+
+  if (body.action === "merge") {
+    const from = (Array.isArray(body.from) ? body.from : []).map((t) => sanitizeString(t, 40)).filter(Boolean);
+    const to = sanitizeString(body.to, 40);
+    if (!from.length || !to) return json(400, { ok: false, error: "Provide the tags to merge and the tag to keep" });
+    const out = await mergeTags(store, from, to, admin.user.email);
+    if (!out.ok) return json(400, { ok: false, error: "Invalid catalog after merge", errors: out.errors });
+    return json(200, out);
+  }
+
+  if (!Array.isArray(body.tags)) return json(400, { ok: false, error: "Missing tags" });
+  const checked = normalizeTagCatalog(body.tags);
+  if (!checked.ok) return json(400, { ok: false, error: "Invalid tag catalog", errors: checked.errors });
+
+  await saveCatalog(store, checked.tags, admin.user.email);
+  return json(200, { ok: true, tags: checked.tags });
+};
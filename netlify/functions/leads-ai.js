@@ -0,0 +1,111 @@
+// netlify/functions/leads-ai.js
+import {
+  json,
+  handleOptions,
+  getLeadsStore,
+  requireJwt,
+  requireAdmin,
+  readJsonSafe,
+  assertLeadKey,
+  saveLead,
+} from "./_utils.js";
+import {
+  AI_TONES,
+  AI_LENGTHS,
+  normalizeAiOptions,
+  assessLeadDetail,
+  buildDmPrompt,
+  buildReplyPrompt,
+  completeText,
+  aiModelName,
+  fallbackDm,
+  fallbackReply,
+  logGeneration,
+} from "./_ai.js";
+import { getSiteSettings } from "./_settings.js";
+
+/**
+ * AI assist for one lead (admin only)
+ * GET  ?id=  -> { detail, generations, options: { tones, lengths }, model }
+ * POST { id, kind: "dm" | "reply", options: { tone, length, language, ask_removal, ask_inspo } }
+ *   dm:    regenerates the suggested DM (replaces record.suggested_dm)
+ *   reply: drafts the next reply from notes + message history (not stored as the DM)
+ * Every generation is logged on the lead (record.ai_generations). Without a
+ * model, fallbackDm / fallbackReply are used and logged as model "fallback".
+ */
+export default async (req, context) => {
+  const opt = handleOptions(req);
+  if (opt) return opt;
+
+  if (req.method !== "GET" && req.method !== "POST") {
+    return json(405, { ok: false, error: "Method not allowed" });
+  }
+
+  // Require Bearer token + verified identity user
+  const jwt = requireJwt(req, context);
+  if (!jwt.ok) return json(jwt.status, { ok: false, error: jwt.error });
+
+  // Enforce admin allowlist/role
+  const admin = requireAdmin(context, req.method === "GET" ? "leads.read" : "leads.edit");
+  if (!admin.ok) return json(admin.status, { ok: false, error: admin.error });
+
+  const store = getLeadsStore();
+
+  if (req.method === "GET") {
+    const id = new URL(req.url).searchParams.get("id");
+    if (!assertLeadKey(id)) return json(400, { ok: false, error: "Invalid lead id" });
+    const record = await store.get(id, { type: "json" });
+    if (!record) return json(404, { ok: false, error: "Lead not found" });
+    return json(200, {
+      ok: true,
+      detail: assessLeadDetail(record.lead),
+      generations: record.ai_generations || [],
+      options: { tones: AI_TONES, lengths: Object.keys(AI_LENGTHS) },
+      model: aiModelName() || "fallback",
+    });
+  }
+
+  const body = await readJsonSafe(req);
+  if (!body || typeof body !== "object") return json(400, { ok: false, error: "Invalid JSON body" });
+  if (!assertLeadKey(body.id)) return json(400, { ok: false, error: "Invalid lead id" });
+
+  const kind = body.kind === "reply" ? "reply" : body.kind === "dm" ? "dm" : "";
+  if (!kind) return json(400, { ok: false, error: "kind must be dm or reply" });
+
+  const record = await store.get(body.id, { type: "json" });
+  if (!record) return json(404, { ok: false, error: "Lead not found" });
+
+  const options = normalizeAiOptions(body.options);
+  const detail = assessLeadDetail(record.lead);
+  const site = await getSiteSettings(store);
+  const prompt =
+    kind === "dm" ? buildDmPrompt(record.lead || {}, options, detail, site) : buildReplyPrompt(record, options, detail, site);
+
+  let text = "";
+  let model = aiModelName();
+  let error = "";
+  try {
+    text = await completeText(prompt, AI_LENGTHS[options.length]);
+  } catch (e) {
+    error = e?.message || "Generation failed";
+  }
+  if (!text) {
+    text = kind === "dm" ? fallbackDm(record.lead?.name, site) : fallbackReply(record, detail, site);
+    model = "fallback";
+  }
+
+  const generation = logGeneration(record, {
+    by: admin.user.email,
+    kind,
+    model,
+    options,
+    low_detail: detail.low_detail,
+    text,
+    ...(error ? { error: error.slice(0, 300) } : {}),
+  });
+  if (kind === "dm") record.suggested_dm = text;
+  record.updated_at = new Date().toISOString();
+  await saveLead(store, record);
+
+  return json(200, { ok: true, text, generation, detail, lead: record });
+};
@@ -0,0 +1,113 @@
+// netlify/functions/leads-batch.js
+import {
+  json,
+  handleOptions,
+  getLeadsStore,
+  requireJwt,
+  requireAdmin,
+  readJsonSafe,
+  assertLeadKey,
+  mapLimit,
+  saveLead,
+} from "./_utils.js";
+import { snapshotOf, diffSnapshots, recordLeadEvent } from "./_history.js";
+import { applyPatch, loadVocab, normalizeTags } from "./_patch.js";
+import { syncClientForLead } from "./_clients.js";
+
+/**
+ * Bulk edits from the admin selection.
+ * POST { ids: [...], patch }                      -> same patch for every lead
+ * POST { items: [{ id, rev?, patch }] }           -> per-lead patches
+ * patch = leads-update fields plus add_tags / remove_tags (applied to each lead's own tags)
+ *
+ * Each lead is validated and saved on its own: one bad item never blocks the rest.
+ * Batches are capped so they finish inside the function timeout; admin sends bigger
+ * selections in chunks of MAX_ITEMS.
+ * -> { ok, results: [{ id, ok, error?, lead? }], updated, failed }
+ */
+const MAX_ITEMS = 50;
+
+function resolvePatch(existing, patch) {
+  const { add_tags, remove_tags, ...rest } = patch || {};
+  if (add_tags == null && remove_tags == null) return rest;
+  const remove = new Set(normalizeTags(remove_tags).map((t) => t.toLowerCase()));
+  const base = rest.tags != null ? normalizeTags(rest.tags) : existing.tags || [];
+  const tags = base.filter((t) => !remove.has(String(t).toLowerCase()));
+  for (const t of normalizeTags(add_tags)) {
+    if (!tags.some((x) => String(x).toLowerCase() === t.toLowerCase())) tags.push(t);
+  }
+  return { ...rest, tags };
+}
+
+async function applyOne(store, item, by, vocab) {
+  const { id } = item;
+  if (!assertLeadKey(id)) return { id, ok: false, error: "Invalid lead id" };
+
+  const existing = await store.get(id, { type: "json" });
+  if (!existing) return { id, ok: false, error: "Lead not found" };
+  if (item.rev != null && Number(item.rev) !== Number(existing.rev || 0)) {
+    return { id, ok: false, error: "Lead was changed by someone else" };
+  }
+
+  let updated;
+  try {
+    updated = applyPatch(existing, resolvePatch(existing, item.patch), vocab);
+  } catch (e) {
+    return { id, ok: false, error: e?.message || "Invalid patch" };
+  }
+
+  await syncClientForLead(store, existing, updated, by);
+  await saveLead(store, updated);
+
+  const before = snapshotOf(existing);
+  const after = snapshotOf(updated);
+  const changes = diffSnapshots(before, after);
+  if (Object.keys(changes).length) {
+    try {
+      await recordLeadEvent(store, id, { by, action: "bulk", before, after, changes });
+    } catch {
+      // best effort; the lead itself is saved
+    }
+  }
+
+  return { id, ok: true, lead: updated };
+}
+
+export default async (req, context) => {
+  const opt = handleOptions(req);
+  if (opt) return opt;
+
+  if (req.method !== "POST") return json(405, { ok: false, error: "Method not allowed" });
+
+  // Require Bearer token + verified identity user
+  const jwt = requireJwt(req, context);
+  if (!jwt.ok) return json(jwt.status, { ok: false, error: jwt.error });
+
+  // Enforce admin allowlist/role
+  const admin = requireAdmin(context, "leads.edit");
+  if (!admin.ok) return json(admin.status, { ok: false, error: admin.error });
+
+  const body = await readJsonSafe(req);
+  if (!body || typeof body !== "object") return json(400, { ok: false, error: "Invalid JSON body" });
+
+  let items;
+  if (Array.isArray(body.items)) {
+    items = body.items.map((it) => ({ id: it?.id, rev: it?.rev, patch: it?.patch || {} }));
+  } else if (Array.isArray(body.ids) && body.patch && typeof body.patch === "object") {
+    items = Array.from(new Set(body.ids)).map((id) => ({ id, patch: body.patch }));
+  } else {
+    return json(400, { ok: false, error: "Provide ids + patch or items" });
+  }
+  if (!items.length) return json(400, { ok: false, error: "Nothing selected" });
+  if (items.length > MAX_ITEMS) return json(400, { ok: false, error: `At most ${MAX_ITEMS} leads per batch` });
+  if (new Set(items.map((it) => it.id)).size !== items.length) {
+    return json(400, { ok: false, error: "Each lead can appear only once per batch" });
+  }
+
+  const store = getLeadsStore();
+  const vocab = await loadVocab(store);
+  const results = await mapLimit(items, 5, (item) => applyOne(store, item, admin.user.email, vocab));
+
+  const updated = results.filter((r) => r.ok).length;
+  return json(200, { ok: true, results, updated, failed: results.length - updated });
+};
@@ -1,7 +1,4 @@
 // netlify/functions/leads-create.js
-import OpenAI from "openai";
-import twilio from "twilio";
-
 import {
   json,
   handleOptions,
@@ -12,12 +9,19 @@ import {
   normalizePhone,
   normalizeInstagram,
   originFromReq,
-  getClientIp,
-  rateKeyForIp,
   isPayloadTooLarge,
+  saveLead,
+  findDuplicatesByContact,
+  pointContactsAt,
 } from "./_utils.js";
-
-const BOOKING_SCRIPT = "To schedule, call Paul Mitchell Logan Guest Services at (435) 752-3599 or use their 'Book a Service' option online, and request Ashlee Christensen by name.";
+import { dispatchNotification } from "./_notify.js";
+import { issuePhotoUploadToken } from "./_photos.js";
+import { issueClientToken } from "./_client.js";
+import { getSpamSettings, runSpamPipeline } from "./_spam.js";
+import { fallbackDm, generateSuggestedDm } from "./_ai.js";
+import { normalizeEmail, sendMail } from "./_mail.js";
+import { getSiteSettings } from "./_settings.js";
+import { linkNewLeadToClient } from "./_clients.js";
 
 function validatePayload(body) {
   if (!body || typeof body !== "object") return { ok: false, error: "Invalid JSON body" };
@@ -25,9 +29,12 @@ function validatePayload(body) {
   const name = sanitizeString(body.name || body.full_name, 80);
   const phone = normalizePhone(body.phone || body.mobile || body.phone_number);
   const instagram = normalizeInstagram(body.instagram || body.ig);
+  const emailRaw = sanitizeString(body.email, 200);
+  const email = normalizeEmail(emailRaw);
 
   if (!name) return { ok: false, error: "Missing name" };
-  if (!phone && !instagram) return { ok: false, error: "Provide phone or instagram" };
+  if (emailRaw && !email) return { ok: false, error: "Invalid email address" };
+  if (!phone && !instagram && !email) return { ok: false, error: "Provide phone, instagram or email" };
 
   const service = sanitizeString(body.service || body.requested_service, 100);
   const availability = sanitizeString(body.availability || body.timeframe, 160);
@@ -44,6 +51,7 @@ function validatePayload(body) {
       name,
       phone,
       instagram,
+      email,
       service,
       availability,
       notes,
@@ -55,78 +63,46 @@ function validatePayload(body) {
   };
 }
 
-function fallbackDm(name) {
-  const first = sanitizeString(name, 40) || "there";
-  return (
-    `Hi ${first} — thanks for reaching out. What style/length are you wanting, and what days/times work best? ` +
-    `
-
-${BOOKING_SCRIPT}`
-  );
-}
-
-async function generateSuggestedDm(lead) {
-  const apiKey = process.env.OPENAI_API_KEY;
-  const model = process.env.OPENAI_MODEL;
-  // Best-effort: if OpenAI is not configured, skip and let caller use fallback DM.
-  if (!apiKey || !model) return "";
-
-  const openai = new OpenAI({ apiKey });
-const instructions = [
-    "You are Ashlee’s assistant for a nail business in Logan, Utah.",
-    "Ashlee is a Paul Mitchell student and can only accept bookings through the Paul Mitchell clinic process right now.",
-    "Write a short, professional, friendly Instagram DM (2–4 sentences).",
-    "No emojis.",
-    "Explain the clinic-only booking constraint and give a clear next step.",
-    "Keep under 550 characters.",
-    "Return only the DM text.",
-    "Include this official booking method verbatim: " + BOOKING_SCRIPT,
-    "Do not mention pricing.",
-  ].join(" ");
-
-  const input = [
-    "Lead details:",
-    "Booking script:",
-    BOOKING_SCRIPT,
-    `Name: ${lead.name}`,
-    `Instagram: ${lead.instagram || "N/A"}`,
-    `Phone: ${lead.phone || "N/A"}`,
-    `Service: ${lead.service || "N/A"}`,
-    `Availability: ${lead.availability || "N/A"}`,
-    `Notes: ${lead.notes || "N/A"}`,
-  ].join("\n");
-
-  const resp = await openai.responses.create({ model, instructions, input });
-  const text = (resp.output_text || "").trim();
-  return text.length > 550 ? text.slice(0, 550) : text;
-}
-
-async function sendSmsToAshlee({ lead, suggested_dm, adminLink }) {
-  const sid = process.env.TWILIO_ACCOUNT_SID;
-  const token = process.env.TWILIO_AUTH_TOKEN;
-  const from = process.env.TWILIO_FROM_NUMBER;
-  const to = process.env.ASHLEE_SMS_TO || "+12086509024";
-
-  if (!sid || !token || !from || !to) {
-    return { ok: false, error: "Twilio env vars missing" };
-  }
-
-  const client = twilio(sid, token);
-
+function newLeadAlert({ id, lead, suggested_dm, adminLink, site }) {
   const lines = [];
   lines.push(`New nail lead: ${lead.name}`);
   if (lead.instagram) lines.push(`IG: ${lead.instagram}`);
   if (lead.phone) lines.push(`Phone: ${lead.phone}`);
+  if (lead.email) lines.push(`Email: ${lead.email}`);
   if (lead.service) lines.push(`Service: ${lead.service}`);
   if (lead.availability) lines.push(`Avail: ${lead.availability}`);
   if (lead.notes) lines.push(`Notes: ${lead.notes}`);
   if (suggested_dm) lines.push(`Suggested DM: ${suggested_dm}`);
-  lines.push(`Booking: ${BOOKING_SCRIPT}`);
-  lines.push(`Booking phone: (435) 752-3599`);
+  lines.push(`Booking: ${site.booking_script}`);
+  lines.push(`Booking phone: ${site.clinic_phone}`);
   if (adminLink) lines.push(`Admin: ${adminLink}`);
 
-  await client.messages.create({ from, to, body: lines.join("\n") });
-  return { ok: true };
+  return {
+    event: "lead.created",
+    subject: `New nail lead: ${lead.name}`,
+    text: lines.join("\n"),
+    lead_id: id,
+    admin_link: adminLink,
+    lead,
+  };
+}
+
+// Client confirmation (opt-in via email_confirmation): what was received + the clinic booking steps
+function confirmationEmail({ lead, waitlist, statusLink, site }) {
+  const first = lead.name.split(/\s+/)[0] || "there";
+  const lines = [`Hi ${first},`, "", "Thanks for your nail request — Ashlee got it and will reach out soon."];
+  const details = [
+    lead.service ? `Service: ${lead.service}` : "",
+    lead.style ? `Style: ${lead.style}` : "",
+    lead.availability ? `Availability: ${lead.availability}` : "",
+    lead.contact_preference ? `Best way to reach you: ${lead.contact_preference}` : "",
+    waitlist ? "Waitlist: yes — you'll hear about last-minute openings" : "",
+  ].filter(Boolean);
+  if (details.length) lines.push("", "What you sent:", ...details.map((d) => `- ${d}`));
+  lines.push("", `Next step (bookings go through ${site.clinic_name}):`, site.booking_script);
+  if (statusLink) lines.push("", `Check on or update your request any time: ${statusLink}`);
+  lines.push("", "You're getting this because you asked for a confirmation email. No further emails will be sent.");
+  return { subject: "We got your nail request — booking steps inside", text: lines.join("\n") };
 }
 
 export default async (req, context) => {
@@ -141,11 +117,6 @@ export default async (req, context) => {
   }
 
   const body = await readJsonSafe(req);
-  // Honeypot support: if body.hp is non-empty => reject
-  if (body && typeof body === "object") {
-    const hp = sanitizeString(body.hp, 200);
-    if (hp) return json(400, { ok: false, error: "Spam detected" });
-  }
 
   // Secondary payload size guard (post-parse)
   try {
@@ -159,37 +130,11 @@ export default async (req, context) => {
   const store = getLeadsStore();
   const now = new Date();
 
-  // Rate limit: per IP allow max 3 requests / 10 minutes (persisted in Blobs)
-  const WINDOW_MS = 10 * 60 * 1000;
-  const MAX_REQ = 3;
-  const ip = getClientIp(req, context);
-  if (ip) {
-    const rk = rateKeyForIp(ip);
-    if (rk) {
-      try {
-        const nowMs = now.getTime();
-        const prev = await store.get(rk, { type: "json" });
-        const windowStartMs = prev?.window_start_at ? Date.parse(prev.window_start_at) : 0;
-        let count = Number(prev?.count || 0);
-        const inWindow = windowStartMs && (nowMs - windowStartMs) < WINDOW_MS;
-        if (!inWindow) {
-          // reset window
-          count = 0;
-        }
-        if (inWindow && count >= MAX_REQ) {
-          return json(429, { ok: false, error: "Too many requests" });
-        }
-        const next = {
-          window_start_at: inWindow ? new Date(windowStartMs).toISOString() : now.toISOString(),
-          count: inWindow ? (count + 1) : 1,
-          last_submit_at: now.toISOString(),
-        };
-        await store.setJSON(rk, next);
-      } catch {
-        // If rate limit read/write fails, continue (best effort)
-      }
-    }
-  }
+  // Abuse pipeline: honeypot, rate limits (IP + phone/IG), submit timing, blocklists
+  const settings = await getSpamSettings(store);
+  const spam = await runSpamPipeline({ req, context, body, lead: validated.lead, store, settings, now });
+  if (spam.action === "reject") return json(spam.status, { ok: false, error: spam.error });
+  const quarantined = spam.action === "quarantine";
 
   const key = newLeadKey(now);
 
@@ -197,48 +142,130 @@ export default async (req, context) => {
     id: key,
     created_at: now.toISOString(),
     updated_at: now.toISOString(),
-    status: "new",
+    status: quarantined ? "quarantine" : "new",
     archived: false,
     lead: validated.lead,
     suggested_dm: "",
     internal_notes: "",
     tags: [],
+    messages: [],
     meta: {
       referrer: req.headers.get("referer") || "",
       user_agent: req.headers.get("user-agent") || "",
       ip: context?.ip || "",
     },
+    // Opted in on the form to hear about last-minute openings (open-slots)
+    waitlist: body.waitlist === true,
     booking: {
       constraint: "Paul Mitchell clinic only",
       location: "Logan, UT",
     },
   };
 
-  // OpenAI (best-effort, exactly one call)
+  // Duplicate detection: link to the earliest lead with the same phone/IG/email
+  let earlier = [];
+  try {
+    earlier = await findDuplicatesByContact(store, leadRecord.lead, key);
+  } catch {
+    // best effort
+  }
+  if (earlier.length) {
+    leadRecord.duplicate_of = earlier[0].id;
+    leadRecord.linked_ids = earlier.map((s) => s.id).slice(0, 10);
+  }
+
+  if (quarantined) leadRecord.spam = { reasons: spam.reasons, at: now.toISOString() };
+
+  // Known client (booked before): link the submission to their client record
+  if (!quarantined) await linkNewLeadToClient(store, leadRecord);
+
+  // OpenAI (best-effort, exactly one call; skipped for suspected spam)
+  const site = await getSiteSettings(store);
   try {
-    leadRecord.suggested_dm = await generateSuggestedDm(leadRecord.lead);
-    if (!leadRecord.suggested_dm) leadRecord.suggested_dm = fallbackDm(leadRecord.lead.name);
+    if (!quarantined) leadRecord.suggested_dm = await generateSuggestedDm(leadRecord.lead, site);
+    if (!leadRecord.suggested_dm) leadRecord.suggested_dm = fallbackDm(leadRecord.lead.name, site);
   } catch {
-    leadRecord.suggested_dm = fallbackDm(leadRecord.lead.name);
+    leadRecord.suggested_dm = fallbackDm(leadRecord.lead.name, site);
   }
 
+  // Lets the client attach inspo photos right after submitting (lead-photos-upload)
+  const photoToken = issuePhotoUploadToken(leadRecord, now);
+  // Client's own link to status.html (only a hash is stored)
+  const clientToken = issueClientToken(leadRecord, now);
+
   // Always store the lead
-  await store.setJSON(key, leadRecord, {
-    metadata: { status: leadRecord.status, archived: "false" },
-  });
+  await saveLead(store, leadRecord);
+
+  // Suspected spam is stored for review but never alerts admins or touches real leads
+  if (quarantined) {
+    return json(200, {
+      ok: true,
+      id: key,
+      suggested_dm: leadRecord.suggested_dm,
+      photo_token: photoToken,
+      client_token: clientToken,
+    });
+  }
 
-  // Twilio SMS (best-effort)
+  // Back-link on the primary so admins see the new submission from either side
+  if (leadRecord.duplicate_of) {
+    try {
+      const primary = await store.get(leadRecord.duplicate_of, { type: "json" });
+      if (primary) {
+        primary.linked_ids = Array.from(new Set([...(primary.linked_ids || []), key])).slice(-25);
+        await saveLead(store, primary);
+      }
+    } catch {
+      // best effort
+    }
+  }
+
+  // Point the contact lookups at this lead: inbound SMS replies land on it, and the next
+  // submission from the same person links to it
+  await pointContactsAt(store, leadRecord.lead, key);
+
+  const origin = originFromReq(req);
+
+  // Notify admins on their channels (failures are logged and retried by notify-retry)
   try {
-    const origin = originFromReq(req);
     const adminLink = origin ? `${origin}/admin.html` : "";
-    await sendSmsToAshlee({
+    const alert = newLeadAlert({
+      id: key,
       lead: leadRecord.lead,
       suggested_dm: leadRecord.suggested_dm,
       adminLink,
+      site,
     });
-  } catch {
-    // swallow
+    await dispatchNotification(store, alert, leadRecord);
+  } catch (e) {
+    console.error("leads-create: notification dispatch failed", e?.message || e);
   }
 
-  return json(200, { ok: true, id: key, suggested_dm: leadRecord.suggested_dm });
+  // Optional client confirmation (best effort; the outcome is kept on the lead for admins)
+  if (leadRecord.lead.email && body.email_confirmation === true) {
+    const statusLink = origin ? `${origin}/status.html#t=${encodeURIComponent(clientToken)}` : "";
+    let sent;
+    try {
+      sent = await sendMail({ to: leadRecord.lead.email, ...confirmationEmail({ lead: leadRecord.lead, waitlist: leadRecord.waitlist, statusLink, site }) });
+    } catch (e) {
+      sent = { ok: false, error: e?.message || String(e) };
+    }
+    leadRecord.confirmation_email = sent.ok
+      ? { status: "sent", at: new Date().toISOString() }
+      : { status: "failed", at: new Date().toISOString(), error: sanitizeString(sent.error, 200) };
+    try {
+      await saveLead(store, leadRecord);
+    } catch {
+      // best effort; the lead itself is saved
+    }
+  }
+
+  return json(200, {
+    ok: true,
+    id: key,
+    suggested_dm: leadRecord.suggested_dm,
+    photo_token: photoToken,
+    client_token: clientToken,
+    confirmation_email: leadRecord.confirmation_email?.status || "",
+  });
 };
@@ -0,0 +1,111 @@
+// netlify/functions/leads-export.js
+import {
+  json,
+  corsHeaders,
+  handleOptions,
+  getLeadsStore,
+  requireJwt,
+  requireAdmin,
+  readJsonSafe,
+  assertLeadKey,
+  mapLimit,
+} from "./_utils.js";
+import { getFieldDefs } from "./_fields.js";
+import { can, maskRecord } from "./_roles.js";
+
+/**
+ * CSV export of the leads picked in admin (the current filter or the selection).
+ * POST { ids: [...] } -> text/csv, one row per lead that still exists, in the order given
+ * Needs leads.export; contact columns follow leads.contact masking like leads-list.
+ */
+const MAX_IDS = 5000;
+
+const COLUMNS = [
+  "id", "created_at", "updated_at",
+  "archived", "status",
+  "name", "ig", "phone", "email",
+  "service", "availability", "contact_preference",
+  "budget", "length", "style",
+  "notes", "suggested_dm",
+  "internal_notes", "tags",
+];
+
+function csvCell(v) {
+  const s = String(v ?? "").replace(/\r?\n/g, " ").trim();
+  return /[",]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function csvRow(record, defs) {
+  const l = record.lead || {};
+  const row = {
+    id: record.id,
+    created_at: record.created_at,
+    updated_at: record.updated_at,
+    archived: record.archived ? "true" : "false",
+    status: record.status || "new",
+    name: l.name,
+    ig: l.instagram,
+    phone: l.phone,
+    email: l.email,
+    service: l.service,
+    availability: l.availability,
+    contact_preference: l.contact_preference,
+    budget: l.budget,
+    length: l.length,
+    style: l.style,
+    notes: l.notes,
+    suggested_dm: record.suggested_dm,
+    internal_notes: record.internal_notes,
+    tags: Array.isArray(record.tags) ? record.tags.join("|") : "",
+  };
+  const custom = record.custom || {};
+  const cells = COLUMNS.map((c) => row[c]);
+  for (const d of defs) {
+    const v = custom[d.key];
+    cells.push(Array.isArray(v) ? v.join("|") : v ?? "");
+  }
+  return cells.map(csvCell).join(",");
+}
+
+export default async (req, context) => {
+  const opt = handleOptions(req);
+  if (opt) return opt;
+
+  if (req.method !== "POST") return json(405, { ok: false, error: "Method not allowed" });
+
+  // Require Bearer token + verified identity user
+  const jwt = requireJwt(req, context);
+  if (!jwt.ok) return json(jwt.status, { ok: false, error: jwt.error });
+
+  // Enforce admin allowlist/role
+  const admin = requireAdmin(context, "leads.export");
+  if (!admin.ok) return json(admin.status, { ok: false, error: admin.error });
+
+  const body = await readJsonSafe(req);
+  if (!body || typeof body !== "object") return json(400, { ok: false, error: "Invalid JSON body" });
+
+  const ids = Array.from(new Set(Array.isArray(body.ids) ? body.ids : []));
+  if (!ids.length) return json(400, { ok: false, error: "Nothing to export" });
+  if (ids.length > MAX_IDS) return json(400, { ok: false, error: `At most ${MAX_IDS} leads per export` });
+  if (!ids.every(assertLeadKey)) return json(400, { ok: false, error: "Invalid lead id" });
+
+  const store = getLeadsStore();
+  const seesContact = can(admin.user.role, "leads.contact");
+  const defs = await getFieldDefs(store);
+
+  const records = await mapLimit(ids, 10, (id) => store.get(id, { type: "json" }).catch(() => null));
+  const lines = [[...COLUMNS, ...defs.map((d) => `cf_${d.key}`)].join(",")];
+  for (const r of records) {
+    if (r) lines.push(csvRow(seesContact ? r : maskRecord(r), defs));
+  }
+
+  return new Response(lines.join("\n"), {
+    status: 200,
+    headers: {
+      ...corsHeaders(),
+      "Content-Type": "text/csv; charset=utf-8",
+      "Content-Disposition": `attachment; filename="ashlee-leads-${new Date().toISOString().slice(0, 10)}.csv"`,
+      "Cache-Control": "no-store",
+    },
+  });
+};
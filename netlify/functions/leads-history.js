@@ -0,0 +1,35 @@
+// netlify/functions/leads-history.js
+import {
+  json,
+  handleOptions,
+  getLeadsStore,
+  requireJwt,
+  requireAdmin,
+  assertLeadKey,
+} from "./_utils.js";
+import { readLeadHistory } from "./_history.js";
+
+export default async (req, context) => {
+  const opt = handleOptions(req);
+  if (opt) return opt;
+
+  if (req.method !== "GET") return json(405, { ok: false, error: "Method not allowed" });
+
+  // Require Bearer token + verified identity user
+  const jwt = requireJwt(req, context);
+  if (!jwt.ok) return json(jwt.status, { ok: false, error: jwt.error });
+
+  // Enforce admin allowlist/role
+  const admin = requireAdmin(context);
+  if (!admin.ok) return json(admin.status, { ok: false, error: admin.error });
+
+  const url = new URL(req.url);
+  const id = url.searchParams.get("id") || "";
+  if (!assertLeadKey(id)) return json(400, { ok: false, error: "Invalid lead id" });
+
+  const store = getLeadsStore();
+  const events = await readLeadHistory(store, id);
+
+  // Newest first for the timeline
+  return json(200, { ok: true, id, events: events.slice().reverse() });
+};
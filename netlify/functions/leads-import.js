@@ -0,0 +1,384 @@
+// netlify/functions/leads-import.js
+import crypto from "node:crypto";
+
+import {
+  json,
+  handleOptions,
+  getLeadsStore,
+  requireJwt,
+  requireAdmin,
+  readJsonSafe,
+  sanitizeString,
+  normalizePhone,
+  normalizeInstagram,
+  newLeadKey,
+  assertLeadKey,
+  isPayloadTooLarge,
+  mapLimit,
+  saveLead,
+  pointContactsAt,
+  readLeadIndex,
+  findDuplicates,
+} from "./_utils.js";
+import { VALID_STATUSES, normalizeStatus, normalizeTags, loadVocab } from "./_patch.js";
+import { canonicalTags, normalizeCustomValues } from "./_fields.js";
+import { normalizeEmail } from "./_mail.js";
+import { syncClientForLead } from "./_clients.js";
+
+/**
+ * Admin import for existing clients (spreadsheets, old DMs). Same columns as the
+ * admin CSV export: id, created_at, updated_at, archived, status, name, ig, phone, email,
+ * service, availability, contact_preference, budget, length, style, notes, suggested_dm,
+ * internal_notes, tags (a|b), cf_<custom field key>.
+ *
+ * POST { csv: "<text>" } or { rows: [{ <column>: value }] }
+ *      dry_run (default true): validate and report on every row, write nothing
+ *      duplicates: "skip" (default) | "link" (import, linked to the earlier lead like a repeat submission)
+ *      start (real runs): first row of this chunk; a real run writes at most WRITE_CHUNK rows
+ *        and returns next (the start of the following chunk, or null when done)
+ * -> { ok, dry_run, summary: { rows, create, skip, error }, report: [{ row, action, name, errors, warnings, duplicate_of? }],
+ *      created, total_rows, next }
+ *
+ * Every imported row leaves imports/<row hash> -> { id }, so running the same file again
+ * (say after a chunk timed out) skips the rows that already made it in.
+ *
+ * Imported leads keep their created_at and status, get source "import", and never
+ * send alerts, SMS or client links. Rows imported as booked get a client record like a
+ * lead booked from admin (see _clients.js).
+ */
+const MAX_ROWS = 500;
+const WRITE_CHUNK = 100;
+const MAX_BYTES = 2 * 1024 * 1024;
+const DUPLICATE_MODES = new Set(["skip", "link"]);
+
+// RFC 4180-ish: quoted fields, "" escapes, newlines inside quotes
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  const s = String(text || "").replace(/^\uFEFF/, "");
+  for (let i = 0; i < s.length; i++) {
+    const ch = s[i];
+    if (quoted) {
+      if (ch === '"' && s[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"' && field === "") {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && s[i + 1] === "\n") i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== "" || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((f) => f.trim() !== ""));
+}
+
+function csvToObjects(text) {
+  const [header, ...body] = parseCsv(text);
+  if (!header) return [];
+  const cols = header.map((h) => h.trim().toLowerCase());
+  return body.map((r) => Object.fromEntries(cols.map((c, i) => [c, r[i] ?? ""])));
+}
+
+function parseDate(raw) {
+  const s = sanitizeString(raw, 40);
+  if (!s) return null;
+  const t = Date.parse(s);
+  return Number.isFinite(t) ? new Date(t) : undefined;
+}
+
+function parseBool(raw) {
+  if (typeof raw === "boolean") return raw;
+  const s = String(raw ?? "").trim().toLowerCase();
+  if (!s || s === "false" || s === "no" || s === "0") return false;
+  if (s === "true" || s === "yes" || s === "1") return true;
+  return undefined;
+}
+
+function splitList(raw) {
+  if (Array.isArray(raw)) return raw;
+  return String(raw ?? "").split(/[|,]/);
+}
+
+/**
+ * One row -> { record, errors, warnings } (record is null when the row can't be imported)
+ */
+function buildRecord(row, vocab, now) {
+  const errors = [];
+  const warnings = [];
+  const get = (...names) => {
+    for (const n of names) if (row[n] != null && String(row[n]).trim() !== "") return row[n];
+    return "";
+  };
+
+  const name = sanitizeString(get("name", "full_name"), 80);
+  if (!name) errors.push("Missing name");
+
+  const phoneRaw = get("phone", "mobile", "phone_number");
+  const phone = normalizePhone(phoneRaw);
+  if (phoneRaw && !phone) warnings.push(`Phone "${sanitizeString(phoneRaw, 30)}" not recognized; left out`);
+  const instagram = normalizeInstagram(get("ig", "instagram"));
+
+  const emailRaw = sanitizeString(get("email"), 200);
+  const email = normalizeEmail(emailRaw);
+  if (emailRaw && !email) warnings.push(`Email "${emailRaw}" not recognized; left out`);
+  if (!phone && !instagram && !email) errors.push("Provide phone, instagram or email");
+
+  const created = parseDate(get("created_at", "date"));
+  if (created === undefined) errors.push("created_at is not a date");
+  else if (created && created.getTime() > now.getTime()) errors.push("created_at is in the future");
+  else if (!created) warnings.push("No created_at; using the import time");
+  const createdAt = created || now;
+
+  const updated = parseDate(get("updated_at"));
+  const updatedOk = updated && updated.getTime() >= createdAt.getTime() && updated.getTime() <= now.getTime();
+  const updatedAt = updatedOk ? updated : createdAt;
+
+  const status = normalizeStatus(get("status") || "new");
+  if (!VALID_STATUSES.has(status)) errors.push(`Unknown status "${status}"`);
+
+  const archived = parseBool(get("archived"));
+  if (archived === undefined) errors.push("archived must be true or false");
+
+  const tags = canonicalTags(normalizeTags(splitList(get("tags")).map((t) => String(t).trim())), vocab.tags);
+
+  const customRaw = {};
+  for (const [col, v] of Object.entries(row)) {
+    if (!col.startsWith("cf_")) continue;
+    const key = col.slice(3);
+    if (!vocab.fields.some((d) => d.key === key)) {
+      if (String(v ?? "").trim()) warnings.push(`Unknown custom field "${key}"; left out`);
+      continue;
+    }
+    customRaw[key] = vocab.fields.find((d) => d.key === key).type === "multiselect" ? splitList(v) : v;
+  }
+  let custom = {};
+  try {
+    custom = normalizeCustomValues(vocab.fields, customRaw);
+  } catch (e) {
+    errors.push(e.message);
+  }
+
+  if (errors.length) return { record: null, errors, warnings };
+
+  const idRaw = sanitizeString(get("id"), 220);
+  const record = {
+    id: assertLeadKey(idRaw) ? idRaw : newLeadKey(createdAt),
+    created_at: createdAt.toISOString(),
+    updated_at: updatedAt.toISOString(),
+    status,
+    archived,
+    lead: {
+      name,
+      phone,
+      instagram,
+      email,
+      service: sanitizeString(get("service"), 100),
+      availability: sanitizeString(get("availability"), 160),
+      notes: sanitizeString(get("notes"), 1000),
+      contact_preference: sanitizeString(get("contact_preference"), 40),
+      budget: sanitizeString(get("budget"), 40),
+      length: sanitizeString(get("length"), 40),
+      style: sanitizeString(get("style"), 80),
+    },
+    suggested_dm: sanitizeString(get("suggested_dm"), 1000),
+    internal_notes: sanitizeString(get("internal_notes"), 2000),
+    tags,
+    messages: [],
+    source: "import",
+    meta: {},
+    booking: {
+      constraint: "Paul Mitchell clinic only",
+      location: "Logan, UT",
+    },
+  };
+  if (Object.keys(custom).length) record.custom = custom;
+  return { record, errors, warnings };
+}
+
+// Same row, same hash: column order and surrounding whitespace don't matter
+function rowHashKey(row) {
+  const entries = Object.entries(row)
+    .map(([k, v]) => [k, String(v ?? "").trim()])
+    .filter(([, v]) => v)
+    .sort(([a], [b]) => (a < b ? -1 : 1));
+  return `imports/${crypto.createHash("sha256").update(JSON.stringify(entries)).digest("hex").slice(0, 40)}`;
+}
+
+function contactKeys(lead) {
+  const keys = [];
+  if (lead.phone) keys.push(`p:${lead.phone}`);
+  if (lead.instagram) keys.push(`i:${lead.instagram.toLowerCase()}`);
+  if (lead.email) keys.push(`e:${lead.email}`);
+  return keys;
+}
+
+export default async (req, context) => {
+  const opt = handleOptions(req);
+  if (opt) return opt;
+
+  if (req.method !== "POST") return json(405, { ok: false, error: "Method not allowed" });
+
+  // Require Bearer token + verified identity user
+  const jwt = requireJwt(req, context);
+  if (!jwt.ok) return json(jwt.status, { ok: false, error: jwt.error });
+
+  // Enforce admin allowlist/role
+  const admin = requireAdmin(context, "leads.import");
+  if (!admin.ok) return json(admin.status, { ok: false, error: admin.error });
+
+  if (isPayloadTooLarge(req, MAX_BYTES)) return json(413, { ok: false, error: "File too large (max 2 MB)" });
+
+  const body = await readJsonSafe(req);
+  if (!body || typeof body !== "object") return json(400, { ok: false, error: "Invalid JSON body" });
+
+  let rows;
+  if (typeof body.csv === "string") rows = csvToObjects(body.csv);
+  else if (Array.isArray(body.rows)) {
+    rows = body.rows
+      .filter((r) => r && typeof r === "object")
+      .map((r) => Object.fromEntries(Object.entries(r).map(([k, v]) => [String(k).trim().toLowerCase(), v])));
+  } else return json(400, { ok: false, error: "Provide csv text or rows" });
+
+  if (!rows.length) return json(400, { ok: false, error: "No rows found" });
+  if (rows.length > MAX_ROWS) {
+    return json(400, { ok: false, error: `At most ${MAX_ROWS} rows per import; split the file` });
+  }
+
+  const dryRun = body.dry_run !== false;
+  const duplicates = DUPLICATE_MODES.has(body.duplicates) ? body.duplicates : "skip";
+  const start = dryRun ? 0 : Math.min(rows.length, Math.max(0, Math.floor(Number(body.start) || 0)));
+  const chunk = dryRun ? rows : rows.slice(start, start + WRITE_CHUNK);
+  const next = start + chunk.length < rows.length ? start + chunk.length : null;
+
+  const store = getLeadsStore();
+  const now = new Date();
+  const [vocab, summaries] = await Promise.all([loadVocab(store), readLeadIndex(store)]);
+  const existingIds = new Set(summaries.map((s) => s.id));
+  const hashKeys = chunk.map(rowHashKey);
+  const imported = await mapLimit(hashKeys, 10, (key) => store.get(key, { type: "json" }).catch(() => null));
+
+  // Earlier rows of this file count as existing leads for duplicate checks
+  const seenInFile = new Map(); // contact key -> record id
+  const report = [];
+  const toCreate = [];
+  const importKeys = new Map(); // record id -> imports/<row hash>
+
+  chunk.forEach((row, i) => {
+    const line = start + i + 2; // header is line 1
+    const { record, errors, warnings } = buildRecord(row, vocab, now);
+    const entry = { row: line, name: sanitizeString(row.name || row.full_name, 80), errors, warnings };
+    report.push(entry);
+    if (!record) {
+      entry.action = "error";
+      return;
+    }
+
+    const done = imported[i]?.id;
+    if (done && existingIds.has(done)) {
+      entry.action = "skip";
+      entry.duplicate_of = done;
+      warnings.push("Already imported");
+      return;
+    }
+    importKeys.set(record.id, hashKeys[i]);
+
+    if (existingIds.has(record.id)) {
+      entry.action = "skip";
+      entry.duplicate_of = record.id;
+      warnings.push("A lead with this id already exists");
+      return;
+    }
+
+    const earlier = findDuplicates(summaries, record.lead);
+    const inFile = contactKeys(record.lead).map((k) => seenInFile.get(k)).find(Boolean);
+    const dupOf = earlier[0]?.id || inFile || "";
+    if (dupOf) {
+      entry.duplicate_of = dupOf;
+      if (duplicates === "skip") {
+        entry.action = "skip";
+        warnings.push(earlier.length ? "Matches an existing lead (phone/IG/email)" : "Repeats an earlier row (phone/IG/email)");
+        return;
+      }
+      record.duplicate_of = dupOf;
+      record.linked_ids = Array.from(new Set([...earlier.map((s) => s.id), inFile].filter(Boolean))).slice(0, 10);
+      warnings.push("Linked to an earlier lead with the same phone/IG/email");
+    }
+
+    entry.action = "create";
+    if (!dryRun) entry.id = record.id;
+    for (const k of contactKeys(record.lead)) if (!seenInFile.has(k)) seenInFile.set(k, record.id);
+    existingIds.add(record.id);
+    toCreate.push(record);
+  });
+
+  const summary = { rows: chunk.length, create: 0, skip: 0, error: 0 };
+  for (const e of report) summary[e.action] += 1;
+
+  if (dryRun) {
+    return json(200, { ok: true, dry_run: true, duplicates, summary, report, created: [], total_rows: rows.length, next: null });
+  }
+
+  // Back-links so the import shows from either side, like a repeat submission
+  const byId = new Map(toCreate.map((r) => [r.id, r]));
+  const backlinks = new Map(); // existing primary id -> imported ids
+  for (const r of toCreate) {
+    if (!r.duplicate_of) continue;
+    const primary = byId.get(r.duplicate_of);
+    if (primary) primary.linked_ids = [...(primary.linked_ids || []), r.id].slice(-25);
+    else backlinks.set(r.duplicate_of, [...(backlinks.get(r.duplicate_of) || []), r.id]);
+  }
+
+  // Rows linked to the same earlier lead are the same person (same client): those go one
+  // at a time, everyone else in parallel
+  const groups = new Map();
+  for (const r of toCreate) {
+    const group = r.duplicate_of || r.id;
+    groups.set(group, [...(groups.get(group) || []), r]);
+  }
+
+  const created = [];
+  await mapLimit(Array.from(groups.values()), 5, async (group) => {
+    for (const record of group) {
+      record.imported = { at: now.toISOString(), by: admin.user.email };
+      await syncClientForLead(store, {}, record, admin.user.email);
+      await saveLead(store, record);
+      created.push(record.id);
+      await store.setJSON(importKeys.get(record.id), { id: record.id, at: record.imported.at }).catch(() => {});
+
+      // Contact lookups (inbound SMS, duplicate checks): only claim the ones no lead has yet
+      await pointContactsAt(store, record.lead, record.id, { onlyIfMissing: true });
+    }
+  });
+
+  await mapLimit(Array.from(backlinks), 5, async ([primaryId, ids]) => {
+    try {
+      const primary = await store.get(primaryId, { type: "json" });
+      if (!primary) return;
+      primary.linked_ids = Array.from(new Set([...(primary.linked_ids || []), ...ids])).slice(-25);
+      await saveLead(store, primary);
+    } catch {
+      // best effort
+    }
+  });
+
+  return json(200, { ok: true, dry_run: false, duplicates, summary, report, created, total_rows: rows.length, next });
+};
@@ -6,7 +6,33 @@ import {
   requireJwt,
   requireAdmin,
   mapLimit,
+  assertLeadKey,
+  readLeadIndex,
 } from "./_utils.js";
+import { getFieldDefs, matchesCustomFilter } from "./_fields.js";
+import { can, maskRecord } from "./_roles.js";
+import { slaState } from "./_priority.js";
+import { getSiteSettings } from "./_settings.js";
+
+// Opaque cursor: base64url of the last id returned (ids sort by ISO timestamp)
+function encodeCursor(id) {
+  return Buffer.from(id, "utf8").toString("base64url");
+}
+
+function decodeCursor(raw) {
+  if (!raw) return "";
+  try {
+    const id = Buffer.from(String(raw), "base64url").toString("utf8");
+    return assertLeadKey(id) ? id : null;
+  } catch {
+    return null;
+  }
+}
+
+// Priority order: highest score first, newest first within a score
+function byPriority(a, b) {
+  return (b.priority || 0) - (a.priority || 0) || (a.id < b.id ? 1 : a.id > b.id ? -1 : 0);
+}
 
 export default async (req, context) => {
   const opt = handleOptions(req);
@@ -25,6 +51,9 @@ export default async (req, context) => {
   const url = new URL(req.url);
   const status = (url.searchParams.get("status") || "").trim().toLowerCase();
   const q = (url.searchParams.get("q") || "").trim().toLowerCase();
+  const tag = (url.searchParams.get("tag") || "").trim().toLowerCase();
+  // sort=priority (default newest)
+  const sort = url.searchParams.get("sort") === "priority" ? "priority" : "newest";
 
   // archived filter: archived=true/false/all (default false)
   const archivedParam = (url.searchParams.get("archived") || "").trim().toLowerCase();
@@ -33,37 +62,48 @@ export default async (req, context) => {
   const limit = Math.min(200, Math.max(1, Number(url.searchParams.get("limit") || "50")));
   const offset = Math.max(0, Number(url.searchParams.get("offset") || "0"));
 
+  const cursor = decodeCursor(url.searchParams.get("cursor"));
+  if (cursor === null) return json(400, { ok: false, error: "Invalid cursor" });
+
   const store = getLeadsStore();
-  const { blobs } = await store.list({ prefix: "leads/" });
+  // Viewers get masked contact details and can't search by them either
+  const seesContact = can(admin.user.role, "leads.contact");
 
-  // Newest-first ordering by key ISO timestamp prefix
-  const keys = blobs.map((b) => b.key).sort((a, b) => (a > b ? -1 : 1));
+  // Custom field filters: cf_<key>=<value> ("*" = any value); unknown keys are ignored
+  const defs = await getFieldDefs(store);
+  const customFilters = defs
+    .map((def) => ({ def, wanted: (url.searchParams.get(`cf_${def.key}`) || "").trim() }))
+    .filter((f) => f.wanted);
 
-  const records = await mapLimit(keys, 20, async (key) => {
-    return await store.get(key, { type: "json" });
-  });
+  // Filter on the summary index (newest first); full records are read only for the page.
+  const summaries = await readLeadIndex(store);
+  const slaHours = (await getSiteSettings(store)).sla_contact_hours;
+  const nowMs = Date.now();
+  const isOverdue = (s) => Boolean(slaState(s, slaHours, nowMs)?.overdue);
 
-  const filtered = records
-    .filter(Boolean)
-    .filter((r) => {
+  const filtered = summaries
+    .filter((s) => {
       if (archivedMode === "all") return true;
-      if (archivedMode === "true") return Boolean(r.archived) === true;
+      if (archivedMode === "true") return s.archived === true;
       // default / "false"
-      return Boolean(r.archived) === false;
+      return s.archived === false;
     })
-    .filter((r) => (status ? String(r.status || "").toLowerCase() === status : true))
-    .filter((r) => {
+    .filter((s) => (status ? String(s.status || "").toLowerCase() === status : true))
+    .filter((s) => (tag ? (s.tags || []).some((t) => String(t).toLowerCase() === tag) : true))
+    .filter((s) => customFilters.every(({ def, wanted }) => matchesCustomFilter(def, s.custom?.[def.key], wanted)))
+    .filter((s) => {
       if (!q) return true;
+      const contact = seesContact ? [s.phone, s.instagram, s.email] : [];
       const hay = [
-        r?.lead?.name,
-        r?.lead?.phone,
-        r?.lead?.instagram,
-        r?.lead?.service,
-        r?.lead?.availability,
-        r?.lead?.notes,
-        r?.status,
-        r?.internal_notes,
-        ...(Array.isArray(r?.tags) ? r.tags : []),
+        s.name,
+        ...contact,
+        s.service,
+        s.status,
+        s.availability,
+        s.notes,
+        s.internal_notes,
+        ...(s.tags || []),
+        ...Object.values(s.custom || {}).flat(),
       ]
         .filter(Boolean)
         .join(" ")
@@ -71,7 +111,36 @@ export default async (req, context) => {
       return hay.includes(q);
     });
 
-  const page = filtered.slice(offset, offset + limit);
+  if (sort === "priority") filtered.sort(byPriority);
 
-  return json(200, { ok: true, total: filtered.length, offset, limit, leads: page });
+  // Newest order resumes after the cursor id; priority order resumes right after the cursor's position
+  let start = offset;
+  if (cursor && sort === "priority") {
+    const at = filtered.findIndex((s) => s.id === cursor);
+    start = at < 0 ? -1 : at + 1;
+  } else if (cursor) {
+    start = filtered.findIndex((s) => s.id < cursor);
+  }
+  const pageSummaries = start < 0 ? [] : filtered.slice(start, start + limit);
+
+  const records = await mapLimit(pageSummaries, 10, async (s) => {
+    return await store.get(s.id, { type: "json" });
+  });
+  const page = records.filter(Boolean).map((r) => (seesContact ? r : maskRecord(r)));
+
+  const last = pageSummaries[pageSummaries.length - 1];
+  const hasMore = start >= 0 && start + limit < filtered.length;
+  const next_cursor = hasMore && last ? encodeCursor(last.id) : null;
+
+  return json(200, {
+    ok: true,
+    total: filtered.length,
+    offset: start < 0 ? filtered.length : start,
+    limit,
+    next_cursor,
+    sort,
+    sla_hours: slaHours,
+    overdue_count: summaries.filter(isOverdue).length,
+    leads: page,
+  });
 };
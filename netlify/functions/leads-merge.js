@@ -0,0 +1,153 @@
+// netlify/functions/leads-merge.js
+import {
+  json,
+  handleOptions,
+  getLeadsStore,
+  requireJwt,
+  requireAdmin,
+  readJsonSafe,
+  assertLeadKey,
+  saveLead,
+  contactKeysFor,
+  mapLimit,
+} from "./_utils.js";
+import { snapshotOf, recordLeadEvent, importLeadHistory } from "./_history.js";
+import { canonicalTags } from "./_fields.js";
+
+const LEAD_FIELDS = ["phone", "instagram", "email", "service", "availability", "contact_preference", "budget", "length", "style"];
+
+/**
+ * Combine duplicates into one surviving lead.
+ * Contract: { survivor_id, merge_ids: [...] }
+ * - survivor keeps its own values; blanks are filled from the others
+ * - notes/internal notes are concatenated, tags unioned, SMS threads and history combined
+ * - merged leads are archived with merged_into -> survivor
+ */
+function mergeInto(survivor, other) {
+  const out = survivor;
+  const lead = { ...(out.lead || {}) };
+  const otherLead = other.lead || {};
+
+  for (const f of LEAD_FIELDS) {
+    if (!lead[f] && otherLead[f]) lead[f] = otherLead[f];
+  }
+  if (otherLead.notes && otherLead.notes !== lead.notes) {
+    lead.notes = [lead.notes, otherLead.notes].filter(Boolean).join("\n---\n").slice(0, 3000);
+  }
+  out.lead = lead;
+
+  if (other.internal_notes) {
+    const stamp = `Merged from ${otherLead.name || "lead"} (${String(other.created_at || "").slice(0, 10)}):`;
+    out.internal_notes = [out.internal_notes, `${stamp} ${other.internal_notes}`]
+      .filter(Boolean)
+      .join("\n")
+      .slice(0, 2000);
+  }
+
+  out.tags = canonicalTags([...(out.tags || []), ...(other.tags || [])]).slice(0, 25);
+  if (other.custom) out.custom = { ...other.custom, ...(out.custom || {}) };
+
+  out.messages = [...(out.messages || []), ...(other.messages || [])]
+    .sort((a, b) => (a.at < b.at ? -1 : 1))
+    .slice(-200);
+
+  // Photo entries keep their original lead_id, so lead-photo can still find the bytes
+  out.photos = [...(out.photos || []), ...(other.photos || []).map((p) => ({ lead_id: other.id, ...p }))];
+
+  if (!out.appointment && other.appointment) out.appointment = other.appointment;
+  out.automations = { ...(other.automations || {}), ...(out.automations || {}) };
+  if (other.sms_opt_out) out.sms_opt_out = true;
+
+  out.merged_ids = Array.from(new Set([...(out.merged_ids || []), other.id]));
+  out.linked_ids = (out.linked_ids || []).filter((x) => x !== other.id);
+  return out;
+}
+
+export default async (req, context) => {
+  const opt = handleOptions(req);
+  if (opt) return opt;
+
+  if (req.method !== "POST") return json(405, { ok: false, error: "Method not allowed" });
+
+  // Require Bearer token + verified identity user
+  const jwt = requireJwt(req, context);
+  if (!jwt.ok) return json(jwt.status, { ok: false, error: jwt.error });
+
+  // Enforce admin allowlist/role
+  const admin = requireAdmin(context, "leads.edit");
+  if (!admin.ok) return json(admin.status, { ok: false, error: admin.error });
+
+  const body = await readJsonSafe(req);
+  if (!body || typeof body !== "object") return json(400, { ok: false, error: "Invalid JSON body" });
+
+  const survivorId = body.survivor_id;
+  if (!assertLeadKey(survivorId)) return json(400, { ok: false, error: "Invalid survivor id" });
+
+  const mergeIds = Array.from(new Set(Array.isArray(body.merge_ids) ? body.merge_ids : []))
+    .filter((x) => x !== survivorId);
+  if (!mergeIds.length || mergeIds.length > 10 || !mergeIds.every(assertLeadKey)) {
+    return json(400, { ok: false, error: "merge_ids must be 1–10 valid lead ids" });
+  }
+
+  const store = getLeadsStore();
+  const survivor = await store.get(survivorId, { type: "json" });
+  if (!survivor) return json(404, { ok: false, error: "Survivor lead not found" });
+  if (survivor.merged_into) return json(400, { ok: false, error: "Survivor was already merged into another lead" });
+
+  const others = await mapLimit(mergeIds, 5, (id) => store.get(id, { type: "json" }));
+  const missing = mergeIds.filter((id, i) => !others[i]);
+  if (missing.length) return json(404, { ok: false, error: `Lead not found: ${missing.join(", ")}` });
+  const alreadyMerged = others.filter((o) => o.merged_into).map((o) => o.id);
+  if (alreadyMerged.length) {
+    return json(400, { ok: false, error: `Already merged into another lead: ${alreadyMerged.join(", ")}` });
+  }
+
+  const before = snapshotOf(survivor);
+  const nowIso = new Date().toISOString();
+
+  // Oldest first so concatenated notes read chronologically
+  const ordered = others.slice().sort((a, b) => (a.id < b.id ? -1 : 1));
+  for (const other of ordered) mergeInto(survivor, other);
+  survivor.duplicate_of = "";
+  survivor.updated_at = nowIso;
+  await saveLead(store, survivor);
+
+  for (const other of ordered) {
+    const otherBefore = snapshotOf(other);
+    other.archived = true;
+    other.merged_into = survivorId;
+    other.merged_at = nowIso;
+    other.updated_at = nowIso;
+    await saveLead(store, other);
+    try {
+      await recordLeadEvent(store, other.id, {
+        by: admin.user.email,
+        action: "merge",
+        before: otherBefore,
+        after: snapshotOf(other),
+        extra: { merged_into: survivorId },
+      });
+      await importLeadHistory(store, survivorId, other.id);
+    } catch {
+      // best effort
+    }
+  }
+
+  try {
+    await recordLeadEvent(store, survivorId, {
+      by: admin.user.email,
+      action: "merge",
+      before,
+      after: snapshotOf(survivor),
+      extra: { merged_ids: ordered.map((o) => o.id) },
+    });
+  } catch {
+    // best effort
+  }
+
+  // Replies from the merged numbers (and later submissions) should land on the survivor
+  const keys = new Set([survivor, ...ordered].flatMap((r) => contactKeysFor(r.lead)));
+  for (const key of keys) await store.setJSON(key, { key: survivorId }).catch(() => {});
+
+  return json(200, { ok: true, lead: survivor, merged_ids: ordered.map((o) => o.id) });
+};
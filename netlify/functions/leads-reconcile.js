@@ -0,0 +1,25 @@
+// netlify/functions/leads-reconcile.js
+import { getLeadsStore, compactIndex, rebuildLeadIndex, LEAD_INDEX } from "./_utils.js";
+import { CLIENT_INDEX } from "./_clients.js";
+
+/**
+ * Scheduled (hourly): folds pending lead/client index rows into their shards, and once a
+ * day rebuilds the lead index from the full records, so a summary write that failed
+ * (saveLead only logs it) never hides a lead for long.
+ * -> JSON summary of what ran
+ */
+export const config = { schedule: "@hourly" };
+
+const REBUILD_EVERY_MS = 24 * 60 * 60 * 1000;
+
+export default async () => {
+  const store = getLeadsStore();
+  const marker = await store.get(LEAD_INDEX.marker, { type: "json" }).catch(() => null);
+  const due = !marker || !(Date.now() - Date.parse(marker.built_at || "") < REBUILD_EVERY_MS);
+
+  const out = {
+    leads: due ? await rebuildLeadIndex(store) : await compactIndex(store, LEAD_INDEX),
+    clients: await compactIndex(store, CLIENT_INDEX),
+  };
+  return new Response(JSON.stringify(out), { status: 200, headers: { "Content-Type": "application/json" } });
+};
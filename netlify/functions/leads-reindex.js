@@ -0,0 +1,34 @@
+// netlify/functions/leads-reindex.js
+import {
+  json,
+  handleOptions,
+  getLeadsStore,
+  requireJwt,
+  requireAdmin,
+  rebuildLeadIndex,
+} from "./_utils.js";
+
+/**
+ * Rebuilds the lead-index/ shards from the full lead records on demand.
+ * The index also builds itself on first use and leads-reconcile rebuilds it daily;
+ * this is for repairing it right away.
+ */
+export default async (req, context) => {
+  const opt = handleOptions(req);
+  if (opt) return opt;
+
+  if (req.method !== "POST") return json(405, { ok: false, error: "Method not allowed" });
+
+  // Require Bearer token + verified identity user
+  const jwt = requireJwt(req, context);
+  if (!jwt.ok) return json(jwt.status, { ok: false, error: jwt.error });
+
+  // Enforce admin allowlist/role
+  const admin = requireAdmin(context, "settings.manage");
+  if (!admin.ok) return json(admin.status, { ok: false, error: admin.error });
+
+  const store = getLeadsStore();
+  const out = await rebuildLeadIndex(store);
+
+  return json(200, { ok: true, leads: out.leads, removed: out.removed });
+};
@@ -0,0 +1,154 @@
+// netlify/functions/leads-stats.js
+import {
+  json,
+  handleOptions,
+  getLeadsStore,
+  requireJwt,
+  requireAdmin,
+  readLeadIndex,
+} from "./_utils.js";
+
+/**
+ * Funnel metrics over leads created in [from, to] (YYYY-MM-DD, inclusive, UTC).
+ * Computed from the summary index; older entries pick up contacted_at/source
+ * after "Rebuild index".
+ *
+ * Stages: new -> contacted -> booked | closed | noshow
+ * - contacted: contacted_at set, or status moved past "new"
+ * - booked: status booked, or closed with an appointment on file
+ */
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const PAST_NEW = new Set(["contacted", "booked", "closed", "noshow"]);
+
+function stageOf(s) {
+  const status = String(s.status || "new");
+  return {
+    contacted: Boolean(s.contacted_at) || PAST_NEW.has(status),
+    booked: status === "booked" || (status === "closed" && Boolean(s.appointment_at)),
+    closed: status === "closed" && !s.appointment_at,
+    noshow: status === "noshow",
+  };
+}
+
+function median(nums) {
+  if (!nums.length) return null;
+  const sorted = nums.slice().sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// Monday (UTC) of the week containing iso, as YYYY-MM-DD
+function weekOf(iso) {
+  const d = new Date(iso);
+  d.setUTCHours(0, 0, 0, 0);
+  d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+  return d.toISOString().slice(0, 10);
+}
+
+function breakdown(items, keyFn) {
+  const groups = new Map();
+  for (const s of items) {
+    const key = keyFn(s) || "unknown";
+    const g = groups.get(key) || { key, leads: 0, contacted: 0, booked: 0 };
+    const st = stageOf(s);
+    g.leads += 1;
+    if (st.contacted) g.contacted += 1;
+    if (st.booked) g.booked += 1;
+    groups.set(key, g);
+  }
+  return Array.from(groups.values())
+    .map((g) => ({ ...g, booking_rate: g.leads ? g.booked / g.leads : 0 }))
+    .sort((a, b) => b.leads - a.leads || a.key.localeCompare(b.key));
+}
+
+export function computeStats(summaries, { fromMs, toMs }) {
+  const items = summaries.filter((s) => {
+    if (s.merged_into || s.status === "quarantine") return false;
+    const t = Date.parse(s.created_at || "");
+    return t >= fromMs && t < toMs;
+  });
+
+  const funnel = { new: items.length, contacted: 0, booked: 0, closed: 0, noshow: 0 };
+  const hoursToContact = [];
+  const weekly = new Map();
+
+  for (const s of items) {
+    const st = stageOf(s);
+    if (st.contacted) funnel.contacted += 1;
+    if (st.booked) funnel.booked += 1;
+    if (st.closed) funnel.closed += 1;
+    if (st.noshow) funnel.noshow += 1;
+
+    const contactedMs = Date.parse(s.contacted_at || "");
+    const createdMs = Date.parse(s.created_at);
+    if (contactedMs >= createdMs) hoursToContact.push((contactedMs - createdMs) / 3600000);
+
+    const wk = weekOf(s.created_at);
+    const w = weekly.get(wk) || { week: wk, leads: 0, booked: 0 };
+    w.leads += 1;
+    if (st.booked) w.booked += 1;
+    weekly.set(wk, w);
+  }
+
+  // Fill empty weeks so charts keep a steady x-axis
+  const weeks = [];
+  for (let t = Date.parse(weekOf(new Date(fromMs).toISOString())); t < toMs; t += 7 * DAY_MS) {
+    const wk = new Date(t).toISOString().slice(0, 10);
+    weeks.push(weekly.get(wk) || { week: wk, leads: 0, booked: 0 });
+  }
+
+  const med = median(hoursToContact);
+  return {
+    total: items.length,
+    funnel,
+    median_hours_to_contact: med === null ? null : Math.round(med * 10) / 10,
+    contacted_with_timestamp: hoursToContact.length,
+    by_service: breakdown(items, (s) => String(s.service || "").trim()),
+    by_contact_preference: breakdown(items, (s) => String(s.contact_preference || "").trim().toLowerCase()),
+    by_source: breakdown(items, (s) => s.source || "direct"),
+    weekly: weeks,
+  };
+}
+
+export default async (req, context) => {
+  const opt = handleOptions(req);
+  if (opt) return opt;
+
+  if (req.method !== "GET") return json(405, { ok: false, error: "Method not allowed" });
+
+  // Require Bearer token + verified identity user
+  const jwt = requireJwt(req, context);
+  if (!jwt.ok) return json(jwt.status, { ok: false, error: jwt.error });
+
+  // Enforce admin allowlist/role
+  const admin = requireAdmin(context);
+  if (!admin.ok) return json(admin.status, { ok: false, error: admin.error });
+
+  const url = new URL(req.url);
+  const fromParam = (url.searchParams.get("from") || "").trim();
+  const toParam = (url.searchParams.get("to") || "").trim();
+  if ((fromParam && !DATE_RE.test(fromParam)) || (toParam && !DATE_RE.test(toParam))) {
+    return json(400, { ok: false, error: "from/to must be YYYY-MM-DD" });
+  }
+
+  const today = new Date().toISOString().slice(0, 10);
+  const to = toParam || today;
+  const toMs = Date.parse(`${to}T00:00:00Z`) + DAY_MS;
+  const fromMs = fromParam ? Date.parse(`${fromParam}T00:00:00Z`) : toMs - 90 * DAY_MS;
+  if (!Number.isFinite(fromMs) || !Number.isFinite(toMs) || fromMs >= toMs) {
+    return json(400, { ok: false, error: "Invalid date range" });
+  }
+  if (toMs - fromMs > 731 * DAY_MS) return json(400, { ok: false, error: "Date range is limited to 2 years" });
+
+  const store = getLeadsStore();
+  const summaries = await readLeadIndex(store);
+  const stats = computeStats(summaries, { fromMs, toMs });
+
+  return json(200, {
+    ok: true,
+    from: new Date(fromMs).toISOString().slice(0, 10),
+    to,
+    ...stats,
+  });
+};
@@ -0,0 +1,16 @@
+// netlify/functions/leads-token.js
+import { json, handleOptions } from "./_utils.js";
+import { issueFormToken } from "./_spam.js";
+
+/**
+ * Issued when the chat modal opens; leads-create checks its age (min time-to-submit).
+ * Empty token when FORM_TOKEN_SECRET is not configured.
+ */
+export default async (req) => {
+  const opt = handleOptions(req);
+  if (opt) return opt;
+
+  if (req.method !== "GET") return json(405, { ok: false, error: "Method not allowed" });
+
+  return json(200, { ok: true, token: issueFormToken() }, { "Cache-Control": "no-store" });
+};
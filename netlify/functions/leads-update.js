@@ -8,55 +8,26 @@ import {
   readJsonSafe,
   sanitizeString,
   assertLeadKey,
+  saveLead,
+  leadEtag,
+  parseIfMatch,
 } from "./_utils.js";
-
-const VALID_STATUSES = new Set(["new", "contacted", "booked", "closed", "noshow"]);
-
-function normalizeStatus(raw) {
-  return sanitizeString(raw, 30).toLowerCase();
-}
+import { snapshotOf, diffSnapshots, readLeadHistory, recordLeadEvent } from "./_history.js";
+import { VALID_STATUSES, normalizeStatus, applyPatch, loadVocab } from "./_patch.js";
+import { syncClientForLead } from "./_clients.js";
 
 function coercePatch(body) {
-  // Contract: { id, patch: { status, internal_notes, tags, archived } }
+  // Contract: { id, rev?, patch: { status, internal_notes, tags, archived, appointment, custom } }
+  // appointment: { date, time, duration_min, service, confirmation } or null to clear
+  // custom: { <field key>: value } checked against config/custom-fields
+  // or { id, rev?, revert_to: <history event id>, side?: "after" | "before" }
+  // rev (or an If-Match header) is the revision the editor loaded.
   if (body && typeof body === "object" && body.patch && typeof body.patch === "object") {
     return body.patch;
   }
   return {};
 }
 
-function applyPatch(existing, patchRaw) {
-  const patch = patchRaw && typeof patchRaw === "object" ? patchRaw : {};
-  const out = { ...existing };
-
-  if (patch.status != null) {
-    const s = normalizeStatus(patch.status);
-    if (!VALID_STATUSES.has(s)) throw new Error("Invalid status");
-    out.status = s;
-  }
-
-  if (patch.internal_notes != null) out.internal_notes = sanitizeString(patch.internal_notes, 2000);
-
-  if (patch.tags != null) {
-    const tags = Array.isArray(patch.tags) ? patch.tags : [];
-    out.tags = tags.map((t) => sanitizeString(t, 40)).filter(Boolean).slice(0, 25);
-  }
-
-  if (patch.archived != null) out.archived = Boolean(patch.archived);
-
-  const nowIso = new Date().toISOString();
-  out.updated_at = nowIso;
-
-  // optional lifecycle stamps
-  if (existing.status !== out.status) {
-    if (out.status === "contacted" && !out.contacted_at) out.contacted_at = nowIso;
-    if ((out.status === "closed" || out.status === "booked") && !out.closed_at) {
-      out.closed_at = nowIso;
-    }
-  }
-
-  return out;
-}
-
 export default async (req, context) => {
   const opt = handleOptions(req);
   if (opt) return opt;
@@ -70,7 +41,7 @@ export default async (req, context) => {
   if (!jwt.ok) return json(jwt.status, { ok: false, error: jwt.error });
 
   // Enforce admin allowlist/role
-  const admin = requireAdmin(context);
+  const admin = requireAdmin(context, "leads.edit");
   if (!admin.ok) return json(admin.status, { ok: false, error: admin.error });
 
   const body = await readJsonSafe(req);
@@ -79,7 +50,16 @@ export default async (req, context) => {
   const id = body.id;
   if (!assertLeadKey(id)) return json(400, { ok: false, error: "Invalid lead id" });
 
-  const patch = coercePatch(body);
+  const revertTo = sanitizeString(body.revert_to, 64);
+  const store = getLeadsStore();
+
+  let patch = coercePatch(body);
+  if (revertTo) {
+    const events = await readLeadHistory(store, id);
+    const event = events.find((e) => e.id === revertTo);
+    if (!event) return json(404, { ok: false, error: "History event not found" });
+    patch = { ...(body.side === "before" ? event.before : event.after) };
+  }
 
   // Pre-validate status if present
   if (patch.status != null) {
@@ -92,23 +72,50 @@ export default async (req, context) => {
     }
   }
 
-  const store = getLeadsStore();
   const existing = await store.get(id, { type: "json" });
   if (!existing) return json(404, { ok: false, error: "Lead not found" });
 
+  // Optimistic concurrency: refuse edits based on a stale revision
+  const headerRev = parseIfMatch(req);
+  const bodyRev = body.rev != null && Number.isInteger(Number(body.rev)) ? Number(body.rev) : null;
+  const expectedRev = headerRev != null ? headerRev : bodyRev;
+  if (expectedRev != null && expectedRev !== Number(existing.rev || 0)) {
+    return json(
+      409,
+      { ok: false, error: "Lead was changed by someone else", current: existing },
+      { ETag: leadEtag(existing) }
+    );
+  }
+
   let updated;
   try {
-    updated = applyPatch(existing, patch);
+    updated = applyPatch(existing, patch, await loadVocab(store));
   } catch (e) {
     return json(400, { ok: false, error: e?.message || "Invalid patch" });
   }
 
-  await store.setJSON(id, updated, {
-    metadata: {
-      status: String(updated.status || "new"),
-      archived: updated.archived ? "true" : "false",
-    },
-  });
+  // Booked leads become (or update) a client record; sets updated.client_id
+  await syncClientForLead(store, existing, updated, admin.user.email);
+  await saveLead(store, updated);
+
+  // Audit trail (who/when/what); skipped when nothing tracked actually changed
+  const before = snapshotOf(existing);
+  const after = snapshotOf(updated);
+  const changes = diffSnapshots(before, after);
+  if (Object.keys(changes).length) {
+    try {
+      await recordLeadEvent(store, id, {
+        by: admin.user.email,
+        action: revertTo ? "revert" : "update",
+        before,
+        after,
+        changes,
+        extra: revertTo ? { reverted_to: revertTo, side: body.side === "before" ? "before" : "after" } : undefined,
+      });
+    } catch {
+      // best effort; the lead itself is saved
+    }
+  }
 
-  return json(200, { ok: true, lead: updated });
+  return json(200, { ok: true, lead: updated }, { ETag: leadEtag(updated) });
 };
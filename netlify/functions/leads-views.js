@@ -0,0 +1,81 @@
+// netlify/functions/leads-views.js
+import crypto from "node:crypto";
+
+import {
+  json,
+  handleOptions,
+  getLeadsStore,
+  requireJwt,
+  requireAdmin,
+  readJsonSafe,
+  sanitizeString,
+} from "./_utils.js";
+import { VALID_STATUSES } from "./_patch.js";
+
+/**
+ * Saved filter views, per admin: views/<email> -> { email, views: [{ id, name, status, archived, q, tag }] }
+ * GET  -> { views }
+ * POST { views } -> replaces the list (validated)
+ */
+const MAX_VIEWS = 30;
+const ARCHIVED_MODES = new Set(["active", "archived", "all"]);
+
+function viewsKeyFor(email) {
+  return `views/${encodeURIComponent(String(email || "").toLowerCase())}`;
+}
+
+function normalizeViews(raw) {
+  const list = Array.isArray(raw) ? raw : [];
+  const seen = new Set();
+  const out = [];
+  for (const v of list) {
+    const name = sanitizeString(v?.name, 40);
+    if (!name || seen.has(name.toLowerCase())) continue;
+    seen.add(name.toLowerCase());
+    const status = String(v?.status || "all").toLowerCase();
+    out.push({
+      id: /^[0-9a-f-]{36}$/i.test(String(v?.id || "")) ? v.id : crypto.randomUUID(),
+      name,
+      status: status === "all" || VALID_STATUSES.has(status) ? status : "all",
+      archived: ARCHIVED_MODES.has(v?.archived) ? v.archived : "active",
+      q: sanitizeString(v?.q, 100),
+      tag: sanitizeString(v?.tag, 40),
+    });
+    if (out.length >= MAX_VIEWS) break;
+  }
+  return out;
+}
+
+export default async (req, context) => {
+  const opt = handleOptions(req);
+  if (opt) return opt;
+
+  if (req.method !== "GET" && req.method !== "POST") {
+    return json(405, { ok: false, error: "Method not allowed" });
+  }
+
+  // Require Bearer token + verified identity user
+  const jwt = requireJwt(req, context);
+  if (!jwt.ok) return json(jwt.status, { ok: false, error: jwt.error });
+
+  // Enforce admin allowlist/role
+  const admin = requireAdmin(context);
+  if (!admin.ok) return json(admin.status, { ok: false, error: admin.error });
+
+  const store = getLeadsStore();
+  const key = viewsKeyFor(admin.user.email);
+
+  if (req.method === "GET") {
+    const doc = await store.get(key, { type: "json" }).catch(() => null);
+    return json(200, { ok: true, views: normalizeViews(doc?.views) });
+  }
+
+  const body = await readJsonSafe(req);
+  if (!body || typeof body !== "object" || !Array.isArray(body.views)) {
+    return json(400, { ok: false, error: "Invalid JSON body" });
+  }
+
+  const views = normalizeViews(body.views);
+  await store.setJSON(key, { email: admin.user.email, views, updated_at: new Date().toISOString() });
+  return json(200, { ok: true, views });
+};
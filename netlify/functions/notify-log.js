@@ -0,0 +1,53 @@
+// netlify/functions/notify-log.js
+import {
+  json,
+  handleOptions,
+  getLeadsStore,
+  requireJwt,
+  requireAdmin,
+  readJsonSafe,
+} from "./_utils.js";
+import { readDeliveryLog, deliver, isLogKey, publicLogEntry } from "./_notify.js";
+
+/**
+ * GET  ?limit= -> recent deliveries, newest first
+ * POST { id }  -> retry one delivery now
+ * Owners only: entries carry lead details and every admin's alert targets (see publicLogEntry).
+ */
+export default async (req, context) => {
+  const opt = handleOptions(req);
+  if (opt) return opt;
+
+  if (req.method !== "GET" && req.method !== "POST") {
+    return json(405, { ok: false, error: "Method not allowed" });
+  }
+
+  // Require Bearer token + verified identity user
+  const jwt = requireJwt(req, context);
+  if (!jwt.ok) return json(jwt.status, { ok: false, error: jwt.error });
+
+  // Enforce admin allowlist/role
+  const admin = requireAdmin(context, "settings.manage");
+  if (!admin.ok) return json(admin.status, { ok: false, error: admin.error });
+
+  const store = getLeadsStore();
+
+  if (req.method === "GET") {
+    const url = new URL(req.url);
+    const limit = Math.min(200, Math.max(1, Number(url.searchParams.get("limit") || "50") || 50));
+    const entries = await readDeliveryLog(store, { limit });
+    return json(200, { ok: true, deliveries: entries.map((e) => publicLogEntry(e, admin.user.email)) });
+  }
+
+  const body = await readJsonSafe(req);
+  if (!body || typeof body !== "object" || !isLogKey(body.id)) {
+    return json(400, { ok: false, error: "Invalid delivery id" });
+  }
+
+  const entry = await store.get(body.id, { type: "json" });
+  if (!entry) return json(404, { ok: false, error: "Delivery not found" });
+  if (entry.status === "sent") return json(400, { ok: false, error: "Already delivered" });
+
+  const out = await deliver(store, entry);
+  return json(200, { ok: true, delivery: publicLogEntry(out, admin.user.email) });
+};
@@ -0,0 +1,84 @@
+// netlify/functions/notify-prefs.js
+import {
+  json,
+  handleOptions,
+  getLeadsStore,
+  requireJwt,
+  requireAdmin,
+  readJsonSafe,
+} from "./_utils.js";
+import {
+  NOTIFY_CHANNELS,
+  prefsKeyFor,
+  getNotifyPrefs,
+  normalizeNotifyPrefs,
+  dispatchNotification,
+  publicLogEntry,
+} from "./_notify.js";
+
+/**
+ * Per-admin notification preferences (keyed by the signed-in email).
+ * GET  -> { prefs, channel_types }
+ * POST -> { prefs } saves; { test: true } sends a test alert to the saved channels
+ */
+export default async (req, context) => {
+  const opt = handleOptions(req);
+  if (opt) return opt;
+
+  if (req.method !== "GET" && req.method !== "POST") {
+    return json(405, { ok: false, error: "Method not allowed" });
+  }
+
+  // Require Bearer token + verified identity user
+  const jwt = requireJwt(req, context);
+  if (!jwt.ok) return json(jwt.status, { ok: false, error: jwt.error });
+
+  // Enforce admin allowlist/role
+  const admin = requireAdmin(context, "leads.contact");
+  if (!admin.ok) return json(admin.status, { ok: false, error: admin.error });
+
+  const store = getLeadsStore();
+  const email = admin.user.email;
+  const channelTypes = Object.entries(NOTIFY_CHANNELS).map(([type, c]) => ({ type, label: c.label }));
+
+  if (req.method === "GET") {
+    return json(200, { ok: true, prefs: await getNotifyPrefs(store, email), channel_types: channelTypes });
+  }
+
+  const body = await readJsonSafe(req);
+  if (!body || typeof body !== "object") return json(400, { ok: false, error: "Invalid JSON body" });
+
+  if (body.test) {
+    const prefs = await getNotifyPrefs(store, email);
+    if (!prefs.channels.some((c) => c.enabled)) {
+      return json(400, { ok: false, error: "No enabled channels to test" });
+    }
+    const entries = await dispatchNotification(
+      store,
+      {
+        event: "test",
+        subject: "Test notification",
+        text: `Test notification for ${email}. New-lead alerts will arrive like this.`,
+        lead_id: "",
+        admin_link: "",
+        lead: null,
+      },
+      null,
+      { only: { ...prefs, filters: {} } }
+    );
+    return json(200, { ok: true, deliveries: entries.map((e) => publicLogEntry(e, email)) });
+  }
+
+  if (!body.prefs || typeof body.prefs !== "object") {
+    return json(400, { ok: false, error: "Missing prefs" });
+  }
+
+  const submitted = Array.isArray(body.prefs.channels) ? body.prefs.channels.length : 0;
+  const prefs = normalizeNotifyPrefs(body.prefs, email);
+  if (prefs.channels.length !== Math.min(submitted, 10)) {
+    return json(400, { ok: false, error: "One or more channels have an invalid target" });
+  }
+
+  await store.setJSON(prefsKeyFor(email), { ...prefs, updated_at: new Date().toISOString() });
+  return json(200, { ok: true, prefs });
+};
@@ -0,0 +1,28 @@
+// netlify/functions/notify-retry.js
+import { getLeadsStore, mapLimit } from "./_utils.js";
+import { listDueRetries, deliver } from "./_notify.js";
+
+/**
+ * Scheduled: re-attempts failed notification deliveries whose backoff has elapsed.
+ * deliver() reschedules or gives up after MAX_ATTEMPTS.
+ * -> { sent, failing }
+ */
+export const config = { schedule: "*/15 * * * *" };
+
+export default async () => {
+  const store = getLeadsStore();
+  const due = await listDueRetries(store);
+
+  const results = await mapLimit(due, 4, async (id) => {
+    const entry = await store.get(id, { type: "json" });
+    if (!entry || entry.status === "sent") return null;
+    return await deliver(store, entry);
+  });
+
+  const done = results.filter(Boolean);
+  const sent = done.filter((r) => r.status === "sent").length;
+  return new Response(JSON.stringify({ sent, failing: done.length - sent }), {
+    status: 200,
+    headers: { "Content-Type": "application/json" },
+  });
+};
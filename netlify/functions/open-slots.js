@@ -0,0 +1,163 @@
+// netlify/functions/open-slots.js
+import {
+  json,
+  handleOptions,
+  getLeadsStore,
+  requireJwt,
+  requireAdmin,
+  readJsonSafe,
+  sanitizeString,
+  assertLeadKey,
+  readLeadIndex,
+  mapLimit,
+  saveLead,
+  phoneKeyFor,
+} from "./_utils.js";
+import { sendSms, twilioFromNumber, appendMessage, isPhoneOptedOut } from "./_sms.js";
+import { getSiteSettings } from "./_settings.js";
+import {
+  DEFAULT_OFFER_TEMPLATE,
+  normalizeSlot,
+  sameSlot,
+  isSlotCandidate,
+  rankLeadForSlot,
+  renderOfferText,
+  recordOffer,
+} from "./_slots.js";
+
+/**
+ * Open-slot broadcast (see _slots.js)
+ * POST { action: "match", slot: { date, time, duration_min, service } }
+ *   -> { slot, template, matches: [{ id, name, phone, instagram, status, waitlist, availability, service,
+ *                                    score, reasons, can_sms, can_dm, offered_at }] } best first
+ * POST { action: "offer", slot, ids: [], channel: "sms" | "dm", template? }
+ *   -> { results: [{ id, name, instagram, ok, status, text, error? }] }
+ *   sms is sent now (opted-out numbers are skipped); dm returns drafts to paste into Instagram.
+ *   Either way the offer is recorded on the lead.
+ */
+const MAX_MATCHES = 50;
+const MAX_OFFER_IDS = 25;
+
+async function matchSlot(store, slot) {
+  const candidates = (await readLeadIndex(store)).filter(isSlotCandidate).slice(0, 500);
+  const records = await mapLimit(candidates, 5, (s) => store.get(s.id, { type: "json" }).catch(() => null));
+
+  const matches = [];
+  for (const record of records) {
+    if (!record?.lead) continue;
+    const rank = rankLeadForSlot(record, slot);
+    if (!rank) continue;
+    const offered = (record.offers || []).filter((o) => sameSlot(o.slot, slot) && o.status !== "failed").pop();
+    const phone = record.lead.phone || "";
+    matches.push({
+      id: record.id,
+      name: record.lead.name || "",
+      phone,
+      instagram: record.lead.instagram || "",
+      status: record.status || "new",
+      waitlist: Boolean(record.waitlist),
+      availability: record.lead.availability || "",
+      service: record.lead.service || "",
+      score: rank.score,
+      reasons: rank.reasons,
+      can_sms: Boolean(phone) && !record.sms_opt_out && !(await isPhoneOptedOut(store, phone)),
+      can_dm: Boolean(record.lead.instagram),
+      offered_at: offered ? offered.at : "",
+    });
+  }
+  return matches.sort((a, b) => b.score - a.score || (a.id > b.id ? 1 : -1)).slice(0, MAX_MATCHES);
+}
+
+async function offerToLead(store, id, { slot, channel, template, site, by }) {
+  const record = await store.get(id, { type: "json" });
+  if (!record) return { id, ok: false, error: "Lead not found" };
+  const base = { id, name: record.lead?.name || "", instagram: record.lead?.instagram || "" };
+  const text = renderOfferText(template, record, slot, site, channel);
+
+  if (channel === "dm") {
+    if (!record.lead?.instagram) return { ...base, ok: false, error: "No Instagram handle" };
+    recordOffer(record, { slot, channel, status: "draft", by });
+    record.updated_at = new Date().toISOString();
+    await saveLead(store, record);
+    return { ...base, ok: true, status: "draft", text };
+  }
+
+  const to = record.lead?.phone || "";
+  if (!to) return { ...base, ok: false, error: "No phone number" };
+  if (record.sms_opt_out || (await isPhoneOptedOut(store, to))) {
+    return { ...base, ok: false, error: "Opted out of texts" };
+  }
+
+  let sent;
+  try {
+    sent = await sendSms({ to, body: text });
+  } catch (e) {
+    sent = { ok: false, error: e?.message || "SMS send failed" };
+  }
+  if (sent.ok) {
+    appendMessage(record, {
+      direction: "out",
+      body: text,
+      from: twilioFromNumber(),
+      to,
+      sid: sent.sid,
+      status: sent.status || "queued",
+      by,
+    });
+  }
+  recordOffer(record, { slot, channel, status: sent.ok ? "sent" : "failed", error: sent.ok ? "" : sent.error, by });
+  record.updated_at = new Date().toISOString();
+  await saveLead(store, record);
+
+  // Replies ("yes!") should land on this lead
+  const pk = phoneKeyFor(to);
+  if (sent.ok && pk) await store.setJSON(pk, { key: id }).catch(() => {});
+
+  if (!sent.ok) return { ...base, ok: false, status: "failed", text, error: sent.error || "SMS unavailable" };
+  return { ...base, ok: true, status: "sent", text };
+}
+
+export default async (req, context) => {
+  const opt = handleOptions(req);
+  if (opt) return opt;
+
+  if (req.method !== "POST") return json(405, { ok: false, error: "Method not allowed" });
+
+  // Require Bearer token + verified identity user
+  const jwt = requireJwt(req, context);
+  if (!jwt.ok) return json(jwt.status, { ok: false, error: jwt.error });
+
+  // Enforce admin allowlist/role
+  const admin = requireAdmin(context, "messages.send");
+  if (!admin.ok) return json(admin.status, { ok: false, error: admin.error });
+
+  const body = await readJsonSafe(req);
+  if (!body || typeof body !== "object") return json(400, { ok: false, error: "Invalid JSON body" });
+
+  const checked = normalizeSlot(body.slot);
+  if (!checked.ok) return json(400, { ok: false, error: checked.error });
+  const slot = checked.slot;
+  const store = getLeadsStore();
+
+  if (body.action === "match") {
+    const matches = await matchSlot(store, slot);
+    return json(200, { ok: true, slot, template: DEFAULT_OFFER_TEMPLATE, matches });
+  }
+
+  if (body.action !== "offer") return json(400, { ok: false, error: "action must be match or offer" });
+
+  const channel = body.channel === "dm" ? "dm" : body.channel === "sms" ? "sms" : "";
+  if (!channel) return json(400, { ok: false, error: "channel must be sms or dm" });
+  const ids = Array.from(new Set(Array.isArray(body.ids) ? body.ids : []));
+  if (!ids.length) return json(400, { ok: false, error: "Pick at least one lead" });
+  if (ids.length > MAX_OFFER_IDS) return json(400, { ok: false, error: `At most ${MAX_OFFER_IDS} leads per offer` });
+  if (!ids.every(assertLeadKey)) return json(400, { ok: false, error: "Invalid lead id" });
+
+  const template = sanitizeString(body.template, 600) || DEFAULT_OFFER_TEMPLATE;
+  const site = await getSiteSettings(store);
+  const by = admin.user.email;
+
+  // One at a time: each lead is a read-modify-write, and Twilio is rate limited
+  const results = await mapLimit(ids, 1, (id) => offerToLead(store, id, { slot, channel, template, site, by }));
+  return json(200, { ok: true, slot, channel, results });
+};
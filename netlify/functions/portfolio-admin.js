@@ -0,0 +1,139 @@
+// netlify/functions/portfolio-admin.js
+import crypto from "node:crypto";
+
+import {
+  json,
+  handleOptions,
+  requireJwt,
+  requireAdmin,
+  readJsonSafe,
+  sanitizeString,
+  isPayloadTooLarge,
+} from "./_utils.js";
+import { sanitizeImage, MAX_PHOTO_BYTES } from "./_photos.js";
+import {
+  getPortfolioStore,
+  getPortfolio,
+  savePortfolio,
+  normalizePortfolio,
+  imageKeyFor,
+  imageUrlFor,
+  MAX_PORTFOLIO_ITEMS,
+} from "./_portfolio.js";
+
+/**
+ * Portfolio gallery (admin)
+ * GET                                  -> { items } (hidden ones included, each with src)
+ * POST { items }                       -> saves text, order and visibility; items left out are deleted
+ * POST ?id=<item id>, raw image body   -> replaces that item's photo
+ * POST ?title=<title>, raw image body  -> adds a new item at the end
+ * Uploads go through the same type sniffing / metadata stripping as client inspo photos.
+ */
+const withSrc = (items) => items.map((item) => ({ ...item, src: imageUrlFor(item) }));
+
+async function deleteImages(store, items) {
+  for (const item of items) {
+    if (!item.image?.id) continue;
+    try {
+      await store.delete(imageKeyFor(item.image.id));
+    } catch {
+      // best effort; an orphaned image is only wasted space
+    }
+  }
+}
+
+async function handleUpload(req, store, by) {
+  if (isPayloadTooLarge(req, MAX_PHOTO_BYTES)) return json(413, { ok: false, error: "Photo is larger than 5 MB" });
+
+  const url = new URL(req.url);
+  const targetId = url.searchParams.get("id") || "";
+  const items = await getPortfolio(store);
+  const target = targetId ? items.find((item) => item.id === targetId) : null;
+  if (targetId && !target) return json(404, { ok: false, error: "Portfolio item not found" });
+  if (!target && items.length >= MAX_PORTFOLIO_ITEMS) {
+    return json(400, { ok: false, error: `At most ${MAX_PORTFOLIO_ITEMS} photos` });
+  }
+
+  let buf;
+  try {
+    buf = Buffer.from(await req.arrayBuffer());
+  } catch {
+    return json(400, { ok: false, error: "Unreadable upload" });
+  }
+  const img = sanitizeImage(buf);
+  if (!img.ok) return json(400, { ok: false, error: img.error });
+
+  const image = {
+    id: crypto.randomUUID(),
+    content_type: img.type,
+    size: img.bytes.length,
+    uploaded_at: new Date().toISOString(),
+  };
+  await store.set(imageKeyFor(image.id), img.bytes, {
+    metadata: { content_type: image.content_type, size: image.size, uploaded_at: image.uploaded_at },
+  });
+
+  let item;
+  let next;
+  if (target) {
+    const { src, ...rest } = target;
+    item = { ...rest, image };
+    next = items.map((x) => (x === target ? item : x));
+  } else {
+    const title = sanitizeString(url.searchParams.get("title"), 80);
+    item = {
+      id: `p-${crypto.randomUUID().slice(0, 8)}`,
+      title,
+      caption: "",
+      style: "",
+      length: "",
+      alt: title ? `${title} nails photo` : "Nail set photo",
+      hidden: false,
+      image,
+    };
+    next = [...items, item];
+  }
+
+  await savePortfolio(store, next, by);
+  if (target) await deleteImages(store, [target]);
+  return json(200, { ok: true, item: withSrc([item])[0], items: withSrc(next) });
+}
+
+export default async (req, context) => {
+  const opt = handleOptions(req);
+  if (opt) return opt;
+
+  if (req.method !== "GET" && req.method !== "POST") {
+    return json(405, { ok: false, error: "Method not allowed" });
+  }
+
+  // Require Bearer token + verified identity user
+  const jwt = requireJwt(req, context);
+  if (!jwt.ok) return json(jwt.status, { ok: false, error: jwt.error });
+
+  // Enforce admin allowlist/role
+  const admin = requireAdmin(context, "settings.manage");
+  if (!admin.ok) return json(admin.status, { ok: false, error: admin.error });
+
+  const store = getPortfolioStore();
+
+  if (req.method === "GET") {
+    return json(200, { ok: true, items: withSrc(await getPortfolio(store)) });
+  }
+
+  if (!/^application\/json/i.test(req.headers.get("content-type") || "")) {
+    return handleUpload(req, store, admin.user.email);
+  }
+
+  const body = await readJsonSafe(req);
+  if (!body || typeof body !== "object" || !Array.isArray(body.items)) {
+    return json(400, { ok: false, error: "Invalid JSON body" });
+  }
+
+  const checked = normalizePortfolio(body.items, await getPortfolio(store));
+  if (!checked.ok) return json(400, { ok: false, error: "Invalid portfolio", errors: checked.errors });
+
+  await savePortfolio(store, checked.items, admin.user.email);
+  await deleteImages(store, checked.removed);
+  return json(200, { ok: true, items: withSrc(checked.items) });
+};
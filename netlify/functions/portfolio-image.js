@@ -0,0 +1,30 @@
+// netlify/functions/portfolio-image.js
+import { json, handleOptions, corsHeaders } from "./_utils.js";
+import { getPortfolioStore, imageKeyFor, isImageId } from "./_portfolio.js";
+
+/**
+ * Public portfolio image bytes: GET ?id=<image id>
+ * Image ids are never reused (a replaced photo gets a new id), so responses cache for good.
+ */
+export default async (req) => {
+  const opt = handleOptions(req);
+  if (opt) return opt;
+
+  if (req.method !== "GET") return json(405, { ok: false, error: "Method not allowed" });
+
+  const id = new URL(req.url).searchParams.get("id") || "";
+  if (!isImageId(id)) return json(400, { ok: false, error: "Invalid id" });
+
+  const found = await getPortfolioStore().getWithMetadata(imageKeyFor(id), { type: "arrayBuffer" });
+  if (!found?.data) return json(404, { ok: false, error: "Image not found" });
+
+  return new Response(found.data, {
+    status: 200,
+    headers: {
+      ...corsHeaders(),
+      "Content-Type": found.metadata?.content_type || "application/octet-stream",
+      "Cache-Control": "public, max-age=31536000, immutable",
+      "X-Content-Type-Options": "nosniff",
+    },
+  });
+};
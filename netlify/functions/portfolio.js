@@ -0,0 +1,34 @@
+// netlify/functions/portfolio.js
+import { json, handleOptions } from "./_utils.js";
+import { getPortfolioStore, getPortfolio, publicItem } from "./_portfolio.js";
+
+/**
+ * Public gallery feed for index.html
+ * GET -> { items: [{ id, title, caption, style, length, alt, src }], tags: { style: [], length: [] } }
+ * Hidden items are left out; order is the admin's order.
+ */
+function distinct(values) {
+  const out = [];
+  const seen = new Set();
+  for (const v of values) {
+    if (!v || seen.has(v.toLowerCase())) continue;
+    seen.add(v.toLowerCase());
+    out.push(v);
+  }
+  return out;
+}
+
+export default async (req) => {
+  const opt = handleOptions(req);
+  if (opt) return opt;
+
+  if (req.method !== "GET") return json(405, { ok: false, error: "Method not allowed" });
+
+  const items = (await getPortfolio(getPortfolioStore())).filter((item) => !item.hidden).map(publicItem);
+  const tags = {
+    style: distinct(items.map((item) => item.style)),
+    length: distinct(items.map((item) => item.length)),
+  };
+
+  return json(200, { ok: true, items, tags }, { "Cache-Control": "public, max-age=300" });
+};
@@ -0,0 +1,18 @@
+// netlify/functions/privacy-retention.js
+import { getLeadsStore } from "./_utils.js";
+import { runRetention } from "./_privacy.js";
+
+/**
+ * Scheduled (daily): purges stale rate/ blobs and anonymizes closed/no-show
+ * leads older than config/retention.closed_lead_days. See _privacy.js.
+ */
+export const config = { schedule: "@daily" };
+
+export default async () => {
+  const store = getLeadsStore();
+  const out = await runRetention(store);
+  return new Response(JSON.stringify(out), {
+    status: 200,
+    headers: { "Content-Type": "application/json" },
+  });
+};
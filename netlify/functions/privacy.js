@@ -0,0 +1,104 @@
+// netlify/functions/privacy.js
+import {
+  json,
+  handleOptions,
+  getLeadsStore,
+  requireJwt,
+  requireAdmin,
+  readJsonSafe,
+} from "./_utils.js";
+import {
+  RETENTION_KEY,
+  normalizeRetention,
+  getRetention,
+  normalizeSubject,
+  findSubjectLeads,
+  exportSubject,
+  recordExport,
+  forgetSubject,
+  readTombstones,
+} from "./_privacy.js";
+
+/**
+ * Data-subject requests (admin only)
+ * GET  ?phone=&instagram=&email=                        -> matching leads + retention settings + recent tombstones
+ * POST { action: "export", phone?, instagram?, email? }  -> { export } (everything stored about them)
+ * POST { action: "erase" | "anonymize", phone?, instagram?, email?, confirm: true }
+ * POST { action: "retention", closed_lead_days }  -> updates config/retention (0 = off)
+ */
+export default async (req, context) => {
+  const opt = handleOptions(req);
+  if (opt) return opt;
+
+  if (req.method !== "GET" && req.method !== "POST") {
+    return json(405, { ok: false, error: "Method not allowed" });
+  }
+
+  // Require Bearer token + verified identity user
+  const jwt = requireJwt(req, context);
+  if (!jwt.ok) return json(jwt.status, { ok: false, error: jwt.error });
+
+  // Enforce admin allowlist/role
+  const admin = requireAdmin(context, "privacy.manage");
+  if (!admin.ok) return json(admin.status, { ok: false, error: admin.error });
+
+  const store = getLeadsStore();
+
+  if (req.method === "GET") {
+    const url = new URL(req.url);
+    const subject = normalizeSubject({
+      phone: url.searchParams.get("phone"),
+      instagram: url.searchParams.get("instagram"),
+      email: url.searchParams.get("email"),
+    });
+    const matches = await findSubjectLeads(store, subject);
+    return json(200, {
+      ok: true,
+      subject,
+      matches: matches.map((s) => ({
+        id: s.id,
+        created_at: s.created_at,
+        status: s.status,
+        name: s.name,
+        phone: s.phone,
+        instagram: s.instagram,
+        email: s.email,
+        merged_into: s.merged_into,
+      })),
+      retention: await getRetention(store),
+      log: await readTombstones(store, { limit: 20 }),
+    });
+  }
+
+  const body = await readJsonSafe(req);
+  if (!body || typeof body !== "object") return json(400, { ok: false, error: "Invalid JSON body" });
+
+  if (body.action === "retention") {
+    const retention = normalizeRetention(body);
+    await store.setJSON(RETENTION_KEY, {
+      ...retention,
+      updated_at: new Date().toISOString(),
+      updated_by: admin.user.email,
+    });
+    return json(200, { ok: true, retention });
+  }
+
+  const subject = normalizeSubject(body);
+  if (!subject.phone && !subject.instagram && !subject.email) {
+    return json(400, { ok: false, error: "Provide a valid phone number, Instagram handle or email" });
+  }
+
+  if (body.action === "export") {
+    const result = await exportSubject(store, subject);
+    await recordExport(store, subject, result, admin.user.email);
+    return json(200, { ok: true, export: result });
+  }
+
+  if (body.action === "erase" || body.action === "anonymize") {
+    if (body.confirm !== true) return json(400, { ok: false, error: "Confirmation required" });
+    const { counts, tombstone } = await forgetSubject(store, subject, body.action, admin.user.email);
+    return json(200, { ok: true, counts, tombstone });
+  }
+
+  return json(400, { ok: false, error: "Unknown action" });
+};
@@ -0,0 +1,19 @@
+// netlify/functions/site-config.js
+import { json, handleOptions, getLeadsStore } from "./_utils.js";
+import { getSiteSettings, publicSiteSettings } from "./_settings.js";
+
+/**
+ * Public site settings for index.html / status.html / privacy.html
+ * GET -> { settings: { artist_name, clinic_name, clinic_phone, clinic_phone_tel, clinic_address, clinic_maps_url,
+ *                      booking_url, instagram_handle, instagram_url, booking_script } }
+ * Only fields marked public in SITE_SETTINGS_SCHEMA are included.
+ */
+export default async (req) => {
+  const opt = handleOptions(req);
+  if (opt) return opt;
+
+  if (req.method !== "GET") return json(405, { ok: false, error: "Method not allowed" });
+
+  const settings = publicSiteSettings(await getSiteSettings(getLeadsStore()));
+  return json(200, { ok: true, settings }, { "Cache-Control": "public, max-age=60" });
+};
@@ -0,0 +1,84 @@
+// netlify/functions/site-settings.js
+import {
+  json,
+  handleOptions,
+  getLeadsStore,
+  requireJwt,
+  requireAdmin,
+  readJsonSafe,
+} from "./_utils.js";
+import {
+  SITE_SETTINGS_SCHEMA,
+  readSiteSettings,
+  readSiteHistory,
+  saveSiteSettings,
+  validateSiteSettings,
+} from "./_settings.js";
+
+/**
+ * Site/business settings (admin)
+ * GET                             -> { settings, version, updated_at, updated_by, schema, history }
+ * POST { settings, version }      -> validates and saves a new version (fields left out keep their value)
+ * POST { restore: n, version }    -> saves version n's values again as a new version
+ * `version` is the one the editor loaded; a stale one gets 409 with the current settings.
+ */
+const schemaList = () =>
+  Object.entries(SITE_SETTINGS_SCHEMA).map(([field, def]) => ({
+    field,
+    label: def.label,
+    type: def.type,
+    max: def.max,
+    min: def.min,
+    required: Boolean(def.required),
+    public: Boolean(def.public),
+  }));
+
+// History for the editor, newest first (values included so a restore can be previewed)
+async function historyList(store) {
+  return (await readSiteHistory(store)).slice().reverse();
+}
+
+export default async (req, context) => {
+  const opt = handleOptions(req);
+  if (opt) return opt;
+
+  if (req.method !== "GET" && req.method !== "POST") {
+    return json(405, { ok: false, error: "Method not allowed" });
+  }
+
+  // Require Bearer token + verified identity user
+  const jwt = requireJwt(req, context);
+  if (!jwt.ok) return json(jwt.status, { ok: false, error: jwt.error });
+
+  // Enforce admin allowlist/role
+  const admin = requireAdmin(context, "settings.manage");
+  if (!admin.ok) return json(admin.status, { ok: false, error: admin.error });
+
+  const store = getLeadsStore();
+  const current = await readSiteSettings(store);
+
+  if (req.method === "GET") {
+    return json(200, { ok: true, ...current, schema: schemaList(), history: await historyList(store) });
+  }
+
+  const body = await readJsonSafe(req);
+  if (!body || typeof body !== "object") return json(400, { ok: false, error: "Invalid JSON body" });
+
+  if (body.version != null && Number(body.version) !== current.version) {
+    return json(409, { ok: false, error: "Settings were changed by someone else", current });
+  }
+
+  let raw = body.settings;
+  if (body.restore != null) {
+    const entry = (await readSiteHistory(store)).find((e) => e.version === Number(body.restore));
+    if (!entry) return json(404, { ok: false, error: "That settings version is no longer in history" });
+    raw = entry.settings;
+  }
+  if (!raw || typeof raw !== "object") return json(400, { ok: false, error: "Invalid JSON body" });
+
+  const checked = validateSiteSettings(raw, current.settings);
+  if (!checked.ok) return json(400, { ok: false, error: "Invalid settings", errors: checked.errors });
+
+  const saved = await saveSiteSettings(store, current, checked.settings, admin.user.email);
+  return json(200, { ok: true, ...saved, history: await historyList(store) });
+};
@@ -0,0 +1,88 @@
+// netlify/functions/sms-inbound.js
+import {
+  json,
+  getLeadsStore,
+  normalizePhone,
+  isPayloadTooLarge,
+  findLeadKeyByPhone,
+  saveLead,
+} from "./_utils.js";
+import {
+  verifyTwilioSignature,
+  twimlResponse,
+  appendMessage,
+  optOutKeyword,
+  setPhoneOptOut,
+} from "./_sms.js";
+import { getSiteSettings } from "./_settings.js";
+
+/**
+ * Twilio "A message comes in" webhook (form-encoded, signed).
+ * Replies are matched to a lead by normalized phone and appended to lead.messages.
+ */
+export default async (req) => {
+  if (req.method !== "POST") return json(405, { ok: false, error: "Method not allowed" });
+
+  if (isPayloadTooLarge(req, 20000)) {
+    return json(413, { ok: false, error: "Payload too large" });
+  }
+
+  let params;
+  try {
+    params = Object.fromEntries(new URLSearchParams(await req.text()));
+  } catch {
+    return json(400, { ok: false, error: "Invalid form body" });
+  }
+
+  if (!verifyTwilioSignature(req, params)) {
+    return json(403, { ok: false, error: "Invalid signature" });
+  }
+
+  const from = normalizePhone(params.From);
+  const body = String(params.Body || "");
+  if (!from || !body.trim()) return twimlResponse();
+
+  const store = getLeadsStore();
+
+  // Ignore Ashlee replying to her own alerts
+  const site = await getSiteSettings(store);
+  const ashlee = normalizePhone(site.alert_sms_to || process.env.ASHLEE_SMS_TO || "");
+  if (ashlee && from === ashlee) return twimlResponse();
+
+  // STOP/START applies to the number even if no lead matches
+  const keyword = optOutKeyword(body);
+  if (keyword) {
+    try {
+      await setPhoneOptOut(store, from, keyword === "stop");
+    } catch {
+      // best effort
+    }
+  }
+
+  const key = await findLeadKeyByPhone(store, from);
+  if (!key) return twimlResponse();
+
+  const record = await store.get(key, { type: "json" });
+  if (!record) return twimlResponse();
+
+  appendMessage(record, {
+    direction: "in",
+    body,
+    from,
+    to: normalizePhone(params.To),
+    sid: params.MessageSid || params.SmsSid,
+    status: "received",
+  });
+  record.updated_at = new Date().toISOString();
+  record.last_inbound_at = record.updated_at;
+  if (keyword === "stop") {
+    record.sms_opt_out = true;
+    record.sms_opt_out_at = record.updated_at;
+  } else if (keyword === "start") {
+    record.sms_opt_out = false;
+  }
+
+  await saveLead(store, record);
+
+  return twimlResponse();
+};
@@ -0,0 +1,143 @@
+// netlify/functions/sms-reminders.js
+import {
+  getLeadsStore,
+  mapLimit,
+  readLeadIndex,
+  sanitizeString,
+  saveLead,
+} from "./_utils.js";
+import {
+  sendSms,
+  twilioFromNumber,
+  appendMessage,
+  isPhoneOptedOut,
+  isQuietHours,
+} from "./_sms.js";
+import { businessTz, appointmentEnd } from "./_appointments.js";
+import { getSiteSettings } from "./_settings.js";
+
+/**
+ * Scheduled automations (hourly):
+ * - reminder_24h: booked lead, appointment starts within the next 24h
+ * - nudge_contacted: contacted lead idle for NUDGE_AFTER_DAYS (default 3)
+ * - post_visit: booked lead, appointment ended 2h–3 days ago
+ *
+ * Each send is recorded in record.automations[<dedupe key>] and on the SMS
+ * thread, so a lead is never texted twice for the same thing.
+ */
+export const config = { schedule: "@hourly" };
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+function firstName(record) {
+  return sanitizeString(record?.lead?.name, 40).split(/\s+/)[0] || "there";
+}
+
+function formatWhen(iso) {
+  return new Intl.DateTimeFormat("en-US", {
+    timeZone: businessTz(),
+    weekday: "short",
+    month: "short",
+    day: "numeric",
+    hour: "numeric",
+    minute: "2-digit",
+  }).format(new Date(iso));
+}
+
+// Clinic details come from the site settings (site-settings)
+const TEMPLATES = {
+  reminder_24h: (r, site) =>
+    `Hi ${firstName(r)}, reminder: your nail appointment with ${site.artist_name} at ${site.clinic_name} is ${formatWhen(r.appointment.start_at)}. ` +
+    `Need to reschedule? Call Guest Services at ${site.clinic_phone}. Reply STOP to opt out.`,
+  nudge_contacted: (r, site) =>
+    `Hi ${firstName(r)}, it's ${site.artist_name} — were you able to get booked at ${site.clinic_name}? ` +
+    `Call ${site.clinic_phone} and request ${site.artist_name} by name. Reply STOP to opt out.`,
+  post_visit: (r, site) =>
+    `Hi ${firstName(r)}, thanks for coming in! If you loved your nails, a quick review or tag on IG means a lot. ` +
+    `Ready for a fill in 2–3 weeks? Call ${site.clinic_phone} and request ${site.artist_name}. Reply STOP to opt out.`,
+};
+
+// Which automation (if any) is due for this record right now: { kind, key }
+export function dueAutomation(record, nowMs = Date.now()) {
+  if (!record || record.archived || !record.lead?.phone || record.sms_opt_out) return null;
+  const sent = record.automations || {};
+
+  if (record.status === "booked" && record.appointment?.start_at) {
+    const start = Date.parse(record.appointment.start_at);
+    const end = appointmentEnd(record.appointment)?.getTime() || start;
+
+    const reminderKey = `reminder_24h:${record.appointment.start_at}`;
+    if (start > nowMs && start - nowMs <= DAY_MS && !sent[reminderKey]) {
+      return { kind: "reminder_24h", key: reminderKey };
+    }
+
+    const postKey = `post_visit:${record.appointment.start_at}`;
+    if (nowMs - end >= 2 * HOUR_MS && nowMs - end <= 3 * DAY_MS && !sent[postKey]) {
+      return { kind: "post_visit", key: postKey };
+    }
+  }
+
+  if (record.status === "contacted") {
+    const days = Math.max(1, Number(process.env.NUDGE_AFTER_DAYS || "3"));
+    const since = Date.parse(record.contacted_at || record.updated_at || "");
+    const lastMsg = (record.messages || []).reduce((m, x) => Math.max(m, Date.parse(x.at) || 0), 0);
+    const idleFrom = Math.max(since || 0, lastMsg);
+    const nudgeKey = `nudge_contacted:${record.contacted_at || record.created_at}`;
+    if (idleFrom && nowMs - idleFrom >= days * DAY_MS && !sent[nudgeKey]) {
+      return { kind: "nudge_contacted", key: nudgeKey };
+    }
+  }
+
+  return null;
+}
+
+export default async () => {
+  const now = new Date();
+  if (isQuietHours(now)) return new Response("quiet hours", { status: 200 });
+
+  const store = getLeadsStore();
+  const site = await getSiteSettings(store);
+  const summaries = await readLeadIndex(store);
+  const candidates = summaries.filter(
+    (s) => !s.archived && s.phone && (s.status === "booked" || s.status === "contacted")
+  );
+
+  const results = await mapLimit(candidates, 5, async (s) => {
+    const record = await store.get(s.id, { type: "json" });
+    const due = dueAutomation(record, now.getTime());
+    if (!due) return null;
+
+    const to = record.lead.phone;
+    if (await isPhoneOptedOut(store, to)) return null;
+
+    const body = TEMPLATES[due.kind](record, site);
+    try {
+      const sent = await sendSms({ to, body });
+      if (!sent.ok) return { id: s.id, kind: due.kind, ok: false, error: sent.error };
+
+      appendMessage(record, {
+        direction: "out",
+        body,
+        from: twilioFromNumber(),
+        to,
+        sid: sent.sid,
+        status: sent.status || "queued",
+        automation: due.kind,
+      });
+      record.automations = { ...(record.automations || {}), [due.key]: now.toISOString() };
+      record.updated_at = now.toISOString();
+      await saveLead(store, record);
+      return { id: s.id, kind: due.kind, ok: true };
+    } catch (e) {
+      return { id: s.id, kind: due.kind, ok: false, error: e?.message || "send failed" };
+    }
+  });
+
+  const done = results.filter(Boolean);
+  const sent = done.filter((r) => r.ok).length;
+  return new Response(JSON.stringify({ sent, failed: done.length - sent }), {
+    status: 200,
+    headers: { "Content-Type": "application/json" },
+  });
+};
@@ -0,0 +1,76 @@
+// netlify/functions/sms-send.js
+import {
+  json,
+  handleOptions,
+  getLeadsStore,
+  requireJwt,
+  requireAdmin,
+  readJsonSafe,
+  sanitizeString,
+  assertLeadKey,
+  saveLead,
+  phoneKeyFor,
+} from "./_utils.js";
+import { sendSms, twilioFromNumber, appendMessage, isPhoneOptedOut } from "./_sms.js";
+
+export default async (req, context) => {
+  const opt = handleOptions(req);
+  if (opt) return opt;
+
+  if (req.method !== "POST") return json(405, { ok: false, error: "Method not allowed" });
+
+  // Require Bearer token + verified identity user
+  const jwt = requireJwt(req, context);
+  if (!jwt.ok) return json(jwt.status, { ok: false, error: jwt.error });
+
+  // Enforce admin allowlist/role
+  const admin = requireAdmin(context, "messages.send");
+  if (!admin.ok) return json(admin.status, { ok: false, error: admin.error });
+
+  const body = await readJsonSafe(req);
+  if (!body || typeof body !== "object") return json(400, { ok: false, error: "Invalid JSON body" });
+
+  const id = body.id;
+  if (!assertLeadKey(id)) return json(400, { ok: false, error: "Invalid lead id" });
+
+  const text = sanitizeString(body.body, 1600);
+  if (!text) return json(400, { ok: false, error: "Missing message body" });
+
+  const store = getLeadsStore();
+  const record = await store.get(id, { type: "json" });
+  if (!record) return json(404, { ok: false, error: "Lead not found" });
+
+  const to = record?.lead?.phone || "";
+  if (!to) return json(400, { ok: false, error: "Lead has no phone number" });
+
+  if (record.sms_opt_out || (await isPhoneOptedOut(store, to))) {
+    return json(409, { ok: false, error: "This number has opted out of texts (replied STOP)" });
+  }
+
+  let sent;
+  try {
+    sent = await sendSms({ to, body: text });
+  } catch (e) {
+    return json(502, { ok: false, error: e?.message || "SMS send failed" });
+  }
+  if (!sent.ok) return json(503, { ok: false, error: sent.error || "SMS unavailable" });
+
+  const message = appendMessage(record, {
+    direction: "out",
+    body: text,
+    from: twilioFromNumber(),
+    to,
+    sid: sent.sid,
+    status: sent.status || "queued",
+    by: admin.user.email,
+  });
+  record.updated_at = new Date().toISOString();
+
+  await saveLead(store, record);
+
+  // Replies from this number should land on this lead
+  const pk = phoneKeyFor(to);
+  if (pk) await store.setJSON(pk, { key: id }).catch(() => {});
+
+  return json(200, { ok: true, message, lead: record });
+};
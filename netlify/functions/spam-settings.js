@@ -0,0 +1,51 @@
+// netlify/functions/spam-settings.js
+import {
+  json,
+  handleOptions,
+  getLeadsStore,
+  requireJwt,
+  requireAdmin,
+  readJsonSafe,
+} from "./_utils.js";
+import { SPAM_SETTINGS_KEY, getSpamSettings, normalizeSpamSettings } from "./_spam.js";
+
+/**
+ * GET  -> current spam/abuse settings (defaults filled in)
+ * POST -> { settings } replaces them (validated + normalized)
+ */
+export default async (req, context) => {
+  const opt = handleOptions(req);
+  if (opt) return opt;
+
+  if (req.method !== "GET" && req.method !== "POST") {
+    return json(405, { ok: false, error: "Method not allowed" });
+  }
+
+  // Require Bearer token + verified identity user
+  const jwt = requireJwt(req, context);
+  if (!jwt.ok) return json(jwt.status, { ok: false, error: jwt.error });
+
+  // Enforce admin allowlist/role
+  const admin = requireAdmin(context, "settings.manage");
+  if (!admin.ok) return json(admin.status, { ok: false, error: admin.error });
+
+  const store = getLeadsStore();
+
+  if (req.method === "GET") {
+    return json(200, { ok: true, settings: await getSpamSettings(store) });
+  }
+
+  const body = await readJsonSafe(req);
+  if (!body || typeof body !== "object" || !body.settings || typeof body.settings !== "object") {
+    return json(400, { ok: false, error: "Invalid JSON body" });
+  }
+
+  const settings = normalizeSpamSettings(body.settings);
+  await store.setJSON(SPAM_SETTINGS_KEY, {
+    ...settings,
+    updated_at: new Date().toISOString(),
+    updated_by: admin.user.email,
+  });
+
+  return json(200, { ok: true, settings });
+};
@@ -1,14 +1,28 @@
-// Portfolio click-to-zoom lightbox
+// Portfolio gallery: loads items from the portfolio function, style/length filter chips,
+// and a lightbox with captions, next/prev (buttons, arrow keys, swipe)
 (function () {
-  function openLightbox(src, alt) {
+  const API = '/.netlify/functions/portfolio';
+  const SWIPE_PX = 40;
+
+  let items = [];
+  let shown = [];
+  let activeTag = '';
+
+  function openLightbox(list, start) {
+    if (!list.length) return;
+    let index = start;
+
     const overlay = document.createElement('div');
     overlay.className = 'lightbox';
     overlay.setAttribute('role','dialog');
+    overlay.setAttribute('aria-modal','true');
     overlay.setAttribute('aria-label','Image preview');
 
+    const figure = document.createElement('figure');
     const img = document.createElement('img');
-    img.src = src;
-    img.alt = alt || 'Portfolio image';
+    const caption = document.createElement('figcaption');
+    figure.appendChild(img);
+    figure.appendChild(caption);
 
     const close = document.createElement('button');
     close.className = 'close';
@@ -16,30 +30,175 @@
     close.textContent = '×';
     close.setAttribute('aria-label','Close');
 
+    const prev = document.createElement('button');
+    prev.className = 'nav prev';
+    prev.type = 'button';
+    prev.textContent = '‹';
+    prev.setAttribute('aria-label','Previous photo');
+
+    const next = document.createElement('button');
+    next.className = 'nav next';
+    next.type = 'button';
+    next.textContent = '›';
+    next.setAttribute('aria-label','Next photo');
+
+    function show(i){
+      index = (i + list.length) % list.length;
+      const item = list[index];
+      img.src = item.src;
+      img.alt = item.alt || item.title || 'Portfolio image';
+      caption.textContent = '';
+      if (item.title) {
+        const t = document.createElement('strong');
+        t.textContent = item.title;
+        caption.appendChild(t);
+      }
+      const bits = [item.caption, [item.style, item.length].filter(Boolean).join(' • ')].filter(Boolean);
+      if (bits.length) caption.appendChild(document.createTextNode((item.title ? ' — ' : '') + bits.join(' · ')));
+      if (list.length > 1) {
+        const count = document.createElement('span');
+        count.className = 'count';
+        count.textContent = (index + 1) + ' / ' + list.length;
+        caption.appendChild(count);
+      }
+      caption.hidden = !caption.textContent;
+    }
+
+    const returnFocus = document.activeElement;
     function cleanup(){
       document.removeEventListener('keydown', onKey);
       overlay.remove();
+      if (returnFocus && returnFocus.focus) returnFocus.focus();
     }
     function onKey(e){
       if(e.key === 'Escape') cleanup();
+      else if(e.key === 'ArrowLeft' && list.length > 1) show(index - 1);
+      else if(e.key === 'ArrowRight' && list.length > 1) show(index + 1);
     }
 
+    // Swipe: horizontal drags past SWIPE_PX change photo; mostly-vertical ones are ignored
+    let touchX = null;
+    let touchY = null;
+    overlay.addEventListener('touchstart', function(e){
+      if (e.touches.length !== 1) return;
+      touchX = e.touches[0].clientX;
+      touchY = e.touches[0].clientY;
+    }, { passive: true });
+    overlay.addEventListener('touchend', function(e){
+      if (touchX === null || list.length < 2) return;
+      const dx = e.changedTouches[0].clientX - touchX;
+      const dy = e.changedTouches[0].clientY - touchY;
+      touchX = touchY = null;
+      if (Math.abs(dx) > SWIPE_PX && Math.abs(dx) > Math.abs(dy)) show(dx < 0 ? index + 1 : index - 1);
+    });
+
     close.addEventListener('click', cleanup);
+    prev.addEventListener('click', function(){ show(index - 1); });
+    next.addEventListener('click', function(){ show(index + 1); });
     overlay.addEventListener('click', function(e){
       if(e.target === overlay) cleanup();
     });
     document.addEventListener('keydown', onKey);
 
-    overlay.appendChild(img);
+    overlay.appendChild(figure);
     overlay.appendChild(close);
+    if (list.length > 1) {
+      overlay.appendChild(prev);
+      overlay.appendChild(next);
+    }
+    show(index);
     document.body.appendChild(overlay);
+    close.focus();
   }
 
-  // Click any image inside .portfolio-card
+  function matchesTag(item){
+    return !activeTag || item.style === activeTag || item.length === activeTag;
+  }
+
+  function renderFilters(tags){
+    const wrap = document.getElementById('portfolioFilters');
+    if (!wrap) return;
+    const all = [].concat(tags.style || [], tags.length || []).filter(function(t, i, arr){ return arr.indexOf(t) === i; });
+    wrap.innerHTML = '';
+    wrap.hidden = all.length < 2;
+    [''].concat(all).forEach(function(tag){
+      const b = document.createElement('button');
+      b.type = 'button';
+      b.className = 'filter-chip';
+      b.textContent = tag || 'All';
+      b.setAttribute('aria-pressed', String(tag === activeTag));
+      b.addEventListener('click', function(){
+        activeTag = tag;
+        wrap.querySelectorAll('.filter-chip').forEach(function(x){ x.setAttribute('aria-pressed', String(x === b)); });
+        renderGrid();
+      });
+      wrap.appendChild(b);
+    });
+  }
+
+  function renderGrid(){
+    const grid = document.getElementById('portfolioGrid');
+    if (!grid) return;
+    shown = items.filter(matchesTag);
+    grid.innerHTML = '';
+    shown.forEach(function(item, i){
+      const tile = document.createElement('article');
+      tile.className = 'tile';
+      tile.setAttribute('role','listitem');
+
+      const thumb = document.createElement('button');
+      thumb.type = 'button';
+      thumb.className = 'thumb has-photo';
+      thumb.style.backgroundImage = 'url("' + encodeURI(item.src) + '")';
+      thumb.setAttribute('aria-label', (item.alt || item.title || 'Portfolio photo') + ' (open full size)');
+      [item.style, item.length].filter(Boolean).forEach(function(t){
+        const s = document.createElement('span');
+        s.textContent = t;
+        thumb.appendChild(s);
+      });
+      thumb.addEventListener('click', function(){ openLightbox(shown, i); });
+      tile.appendChild(thumb);
+
+      if (item.title) {
+        const h = document.createElement('h4');
+        h.textContent = item.title;
+        tile.appendChild(h);
+      }
+      if (item.caption) {
+        const p = document.createElement('p');
+        p.textContent = item.caption;
+        tile.appendChild(p);
+      }
+      grid.appendChild(tile);
+    });
+  }
+
+  function setStatus(text){
+    const status = document.getElementById('portfolioStatus');
+    if (status) status.textContent = text;
+  }
+
+  function loadGallery(){
+    if (!document.getElementById('portfolioGrid')) return;
+    fetch(API, { headers: { 'Accept': 'application/json' } })
+      .then(function(res){ return res.ok ? res.json() : Promise.reject(new Error('HTTP ' + res.status)); })
+      .then(function(data){
+        items = Array.isArray(data.items) ? data.items.filter(function(item){ return item && item.src; }) : [];
+        if (!items.length) return setStatus('New photos coming soon.');
+        renderFilters(data.tags || {});
+        renderGrid();
+      })
+      .catch(function(){ setStatus('The portfolio could not load right now. Please try again later.'); });
+  }
+
+  // Click any image inside .portfolio-card (single image, no gallery)
   document.addEventListener('click', function (e) {
     const img = e.target && e.target.closest && e.target.closest('.portfolio-card img');
     if (!img) return;
     e.preventDefault();
-    openLightbox(img.src, img.alt);
+    openLightbox([{ src: img.src, alt: img.alt }], 0);
   });
+
+  if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', loadGallery);
+  else loadGallery();
 })();
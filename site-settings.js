@@ -0,0 +1,50 @@
+// Site settings: fills clinic/contact details on the public pages from the site-config function,
+// so editing them in admin doesn't need a redeploy. The markup keeps the built-in values as a
+// fallback if the request fails.
+//   data-site="field"       -> textContent (artist_name, clinic_name, clinic_phone, instagram_handle, ...)
+//   data-site-href="field"  -> href (booking_url, clinic_phone_tel, clinic_maps_url, instagram_url)
+// Scripts that need the values read window.siteSettings or listen for the "site_settings" event.
+(function () {
+  const API = '/.netlify/functions/site-config';
+
+  window.siteSettings = window.siteSettings || {
+    artist_name: 'Ashlee Christensen',
+    clinic_name: 'Paul Mitchell Logan',
+    clinic_phone: '(435) 752-3599',
+    clinic_phone_tel: 'tel:+14357523599',
+    clinic_address: 'Paul Mitchell The School – Logan, 185 E 1250 N Ste. 200, Logan, UT 84341',
+    clinic_maps_url: 'https://www.google.com/maps/search/?api=1&query=Paul%20Mitchell%20The%20School%20Logan%2C%20185%20E%201250%20N%20Ste.%20200%2C%20Logan%2C%20UT%2084341',
+    booking_url: 'https://example.com/',
+    instagram_handle: 'ashes_nails_',
+    instagram_url: 'https://www.instagram.com/ashes_nails_/'
+  };
+
+  function apply(settings){
+    document.querySelectorAll('[data-site]').forEach(function(el){
+      const field = el.getAttribute('data-site');
+      let value = settings[field];
+      if (!value) return;
+      if (field === 'instagram_handle' && el.hasAttribute('data-site-at')) value = '@' + value;
+      el.textContent = value;
+    });
+    document.querySelectorAll('[data-site-href]').forEach(function(el){
+      const value = settings[el.getAttribute('data-site-href')];
+      if (value) el.href = value;
+    });
+  }
+
+  function load(){
+    fetch(API, { headers: { 'Accept': 'application/json' } })
+      .then(function(res){ return res.ok ? res.json() : Promise.reject(new Error('HTTP ' + res.status)); })
+      .then(function(data){
+        if (!data || !data.settings) return;
+        Object.assign(window.siteSettings, data.settings);
+        apply(window.siteSettings);
+        window.dispatchEvent(new CustomEvent('site_settings', { detail: window.siteSettings }));
+      })
+      .catch(function(){ /* keep the built-in details */ });
+  }
+
+  if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', load);
+  else load();
+})();
@@ -0,0 +1,50 @@
+// Test helpers: an in-process Blobs server and a way to call a function handler directly
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { BlobsServer } from "@netlify/blobs/server";
+
+/**
+ * Starts a throwaway Blobs server and points getLeadsStore() at it.
+ * -> { stop } (removes the data directory)
+ */
+export async function startBlobs() {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), "ashlee-blobs-"));
+  const server = new BlobsServer({ directory, token: "test-token" });
+  const { port } = await server.start();
+  const url = `http://localhost:${port}`;
+  process.env.NETLIFY_BLOBS_CONTEXT = Buffer.from(
+    JSON.stringify({ edgeURL: url, uncachedEdgeURL: url, token: "test-token", siteID: "test-site" })
+  ).toString("base64");
+  return {
+    async stop() {
+      await server.stop();
+      fs.rmSync(directory, { recursive: true, force: true });
+    },
+  };
+}
+
+/**
+ * Calls a function's default export the way Netlify would.
+ * user: identity user for admin endpoints (null for public calls)
+ * -> { status, data } with data parsed as JSON when it is JSON
+ */
+export async function invoke(handler, { method = "GET", query = "", body, user = null, ip = "203.0.113.7" } = {}) {
+  const headers = new Headers();
+  if (user) headers.set("authorization", "Bearer test");
+  let payload;
+  if (body !== undefined) {
+    payload = JSON.stringify(body);
+    headers.set("content-type", "application/json");
+  }
+  const req = new Request(`http://localhost/.netlify/functions/test${query}`, { method, headers, body: payload });
+  const res = await handler(req, { ip, clientContext: user ? { user } : undefined });
+  const text = await res.text();
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    data = text;
+  }
+  return { status: res.status, data };
+}
@@ -0,0 +1,118 @@
+// AI assist through the local stub model (netlify/functions/_ai.js, leads-ai.js)
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+
+import { startBlobs, invoke } from "./_harness.js";
+import { getLeadsStore, newLeadKey, saveLead } from "../netlify/functions/_utils.js";
+import { assessLeadDetail } from "../netlify/functions/_ai.js";
+import leadsAi from "../netlify/functions/leads-ai.js";
+
+const OWNER = { email: "owner@example.com" };
+let blobs;
+
+before(async () => {
+  blobs = await startBlobs();
+  process.env.ADMIN_EMAILS = OWNER.email;
+  process.env.AI_PROVIDER = "stub";
+});
+
+after(async () => {
+  delete process.env.AI_PROVIDER;
+  await blobs.stop();
+});
+
+async function seedLead(lead, extra = {}) {
+  const now = new Date();
+  const record = {
+    id: newLeadKey(now),
+    created_at: now.toISOString(),
+    updated_at: now.toISOString(),
+    status: "new",
+    archived: false,
+    lead,
+    suggested_dm: "original DM",
+    internal_notes: "",
+    tags: [],
+    messages: [],
+    ...extra,
+  };
+  await saveLead(getLeadsStore(), record);
+  return record.id;
+}
+
+const VAGUE = { name: "Jamie Lee", phone: "+14355550100", service: "Not sure yet" };
+const DETAILED = {
+  name: "Riley Stone",
+  phone: "+14355550101",
+  service: "Gel-X full set",
+  style: "French tips",
+  length: "medium",
+  availability: "Tue after 4",
+  notes: "Current set is gel, needs removal first",
+};
+
+test("low-detail leads are flagged with the questions to ask", async () => {
+  assert.equal(assessLeadDetail(VAGUE).low_detail, true);
+  assert.deepEqual(assessLeadDetail(DETAILED), { low_detail: false, missing: [], questions: [] });
+
+  const id = await seedLead(VAGUE);
+  const res = await invoke(leadsAi, { query: `?id=${encodeURIComponent(id)}`, user: OWNER });
+  assert.equal(res.status, 200);
+  assert.equal(res.data.model, "stub");
+  assert.equal(res.data.detail.low_detail, true);
+  assert.ok(res.data.detail.missing.includes("service"));
+  assert.equal(res.data.detail.questions.length, 3);
+});
+
+test("regenerating the DM replaces suggested_dm and logs the generation", async () => {
+  const id = await seedLead(VAGUE);
+  const res = await invoke(leadsAi, {
+    method: "POST",
+    body: { id, kind: "dm", options: { tone: "warm", length: "long", ask_inspo: true } },
+    user: OWNER,
+  });
+  assert.equal(res.status, 200);
+  assert.match(res.data.text, /^\[stub dm warm\/long\/English\] Hi Jamie —/);
+  assert.match(res.data.text, /send inspo pics/);
+  // Low detail: the stub asks the first missing question
+  assert.ok(res.data.text.includes(res.data.detail.questions[0]));
+
+  const stored = await getLeadsStore().get(id, { type: "json" });
+  assert.equal(stored.suggested_dm, res.data.text);
+  assert.equal(stored.ai_generations.length, 1);
+  assert.deepEqual(
+    { kind: stored.ai_generations[0].kind, model: stored.ai_generations[0].model, low_detail: stored.ai_generations[0].low_detail },
+    { kind: "dm", model: "stub", low_detail: true }
+  );
+});
+
+test("a reply draft answers the latest client message and keeps the DM", async () => {
+  const id = await seedLead(DETAILED, {
+    messages: [
+      { direction: "out", body: "Hi Riley!", at: "2026-01-01T10:00:00.000Z" },
+      { direction: "in", body: "Can I come in Tuesday at 5?", at: "2026-01-01T11:00:00.000Z" },
+    ],
+  });
+  const res = await invoke(leadsAi, { method: "POST", body: { id, kind: "reply" }, user: OWNER });
+  assert.equal(res.status, 200);
+  assert.match(res.data.text, /^\[stub reply friendly\/medium\/English\] Hi Riley — re: "Can I come in Tuesday at 5\?"/);
+  assert.equal(res.data.detail.low_detail, false);
+  assert.equal(res.data.generation.low_detail, false);
+
+  const stored = await getLeadsStore().get(id, { type: "json" });
+  assert.equal(stored.suggested_dm, "original DM");
+  assert.equal(stored.ai_generations.at(-1).kind, "reply");
+});
+
+test("without a model the fallback text is used and logged as such", async () => {
+  delete process.env.AI_PROVIDER;
+  try {
+    const id = await seedLead(VAGUE);
+    const res = await invoke(leadsAi, { method: "POST", body: { id, kind: "reply" }, user: OWNER });
+    assert.equal(res.status, 200);
+    assert.equal(res.data.generation.model, "fallback");
+    assert.match(res.data.text, /^Hi Jamie — thanks for getting back to me!/);
+  } finally {
+    process.env.AI_PROVIDER = "stub";
+  }
+});
@@ -0,0 +1,64 @@
+// Free-text availability parsing (netlify/functions/_availability.js)
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { parseAvailability, fitsWindows } from "../netlify/functions/_availability.js";
+
+const ALL_DAYS = [0, 1, 2, 3, 4, 5, 6];
+const windowsOf = (text) => parseAvailability(text).windows;
+
+test("separate parts keep their own days and times", () => {
+  assert.deepEqual(windowsOf("Thu after 4, Sat morning"), [
+    { days: [4], from: "16:00", to: "21:00" },
+    { days: [6], from: "08:00", to: "12:00" },
+  ]);
+});
+
+test("a trailing time applies to earlier parts without one", () => {
+  assert.deepEqual(windowsOf("Tuesday or Thursday evenings"), [
+    { days: [2], from: "17:00", to: "21:00" },
+    { days: [4], from: "17:00", to: "21:00" },
+  ]);
+  assert.deepEqual(windowsOf("Mon/Wed after 5"), [
+    { days: [1], from: "17:00", to: "21:00" },
+    { days: [3], from: "17:00", to: "21:00" },
+  ]);
+});
+
+test("times without days keep the days before them", () => {
+  assert.deepEqual(windowsOf("Tue 9-11 or 2-4"), [
+    { days: [2], from: "09:00", to: "11:00" },
+    { days: [2], from: "14:00", to: "16:00" },
+  ]);
+});
+
+test("noon and midnight", () => {
+  assert.deepEqual(windowsOf("Fridays before noon"), [{ days: [5], from: "08:00", to: "12:00" }]);
+  assert.deepEqual(windowsOf("weekends until midnight"), [{ days: [0, 6], from: "08:00", to: "23:59" }]);
+  // "afternoon" is not "noon"
+  assert.deepEqual(windowsOf("Sat afternoon"), [{ days: [6], from: "12:00", to: "17:00" }]);
+});
+
+test("dates are not split on their slash or read as times", () => {
+  assert.deepEqual(windowsOf("after 3/15 weekday mornings"), [{ days: [1, 2, 3, 4, 5], from: "08:00", to: "12:00" }]);
+});
+
+test("ranges, bare hours and lone times", () => {
+  assert.deepEqual(windowsOf("tue-thu before 2"), [{ days: [2, 3, 4], from: "08:00", to: "14:00" }]);
+  assert.deepEqual(windowsOf("weekdays 2-5pm"), [{ days: [1, 2, 3, 4, 5], from: "14:00", to: "17:00" }]);
+  assert.deepEqual(windowsOf("after 5"), [{ days: ALL_DAYS, from: "17:00", to: "21:00" }]);
+});
+
+test("flexible and unparsed text", () => {
+  assert.deepEqual(parseAvailability("Anytime!"), { windows: [], flexible: true });
+  assert.deepEqual(parseAvailability("next week sometime"), { windows: [], flexible: false });
+  assert.deepEqual(parseAvailability(""), { windows: [], flexible: false });
+});
+
+test("fitsWindows checks day and start time", () => {
+  const windows = windowsOf("Tuesday or Thursday evenings");
+  assert.equal(fitsWindows(windows, 2, "17:30"), true);
+  assert.equal(fitsWindows(windows, 2, "10:00"), false);
+  assert.equal(fitsWindows(windows, 3, "18:00"), false);
+  assert.equal(fitsWindows(windows, 4, "21:00"), false);
+});
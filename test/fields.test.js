@@ -0,0 +1,17 @@
+// Custom field values (netlify/functions/_fields.js)
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { normalizeCustomValues } from "../netlify/functions/_fields.js";
+
+const DEFS = [{ key: "due", label: "Due", type: "date" }];
+
+test("date fields keep real calendar days", () => {
+  assert.deepEqual(normalizeCustomValues(DEFS, { due: " 2028-02-29 " }), { due: "2028-02-29" });
+});
+
+test("date fields reject days that don't exist", () => {
+  for (const due of ["2027-02-30", "2027-04-31", "2027-13-01", "2027-2-3"]) {
+    assert.throws(() => normalizeCustomValues(DEFS, { due }), /Due: must be a date/, due);
+  }
+});
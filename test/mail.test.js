@@ -0,0 +1,158 @@
+// Client confirmation email (leads-create) and the SMTP transport's TLS rules (netlify/functions/_mail.js)
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import net from "node:net";
+
+import { startBlobs, invoke } from "./_harness.js";
+import { getLeadsStore } from "../netlify/functions/_utils.js";
+import { sendMail, setMailTransport } from "../netlify/functions/_mail.js";
+import leadsCreate from "../netlify/functions/leads-create.js";
+
+let blobs;
+let sent = [];
+
+before(async () => {
+  blobs = await startBlobs();
+});
+
+after(async () => {
+  setMailTransport(null);
+  await blobs.stop();
+});
+
+// Captures what leads-create sends instead of talking to a mail server
+async function capture(msg) {
+  sent.push(msg);
+  return { ok: true, id: `test-${sent.length}` };
+}
+
+beforeEach(() => {
+  sent = [];
+  setMailTransport(capture);
+});
+
+test("an opted-in email lead gets a confirmation", async () => {
+  const res = await invoke(leadsCreate, {
+    method: "POST",
+    body: { name: "Casey Moore", email: "Casey@Example.com", service: "Gel manicure", email_confirmation: true },
+    ip: "203.0.113.10",
+  });
+  assert.equal(res.status, 200);
+  assert.equal(res.data.confirmation_email, "sent");
+
+  assert.equal(sent.length, 1);
+  assert.deepEqual(sent[0].to, ["casey@example.com"]);
+  assert.match(sent[0].subject, /We got your nail request/);
+  assert.match(sent[0].text, /^Hi Casey,/);
+  assert.match(sent[0].text, /- Service: Gel manicure/);
+
+  const stored = await getLeadsStore().get(res.data.id, { type: "json" });
+  assert.equal(stored.confirmation_email.status, "sent");
+});
+
+test("a lead without the opt-in gets no email", async () => {
+  const res = await invoke(leadsCreate, {
+    method: "POST",
+    body: { name: "Drew Park", email: "drew@example.com", service: "Acrylic full set" },
+    ip: "203.0.113.11",
+  });
+  assert.equal(res.status, 200);
+  assert.equal(res.data.confirmation_email, "");
+  assert.equal(sent.length, 0);
+
+  const stored = await getLeadsStore().get(res.data.id, { type: "json" });
+  assert.equal(stored.confirmation_email, undefined);
+});
+
+test("a failed send is kept on the lead and the request still succeeds", async () => {
+  setMailTransport(async () => ({ ok: false, error: "mailbox unavailable" }));
+  const res = await invoke(leadsCreate, {
+    method: "POST",
+    body: { name: "Sam Ortiz", email: "sam@example.com", email_confirmation: true },
+    ip: "203.0.113.12",
+  });
+  assert.equal(res.status, 200);
+  assert.equal(res.data.confirmation_email, "failed");
+
+  const stored = await getLeadsStore().get(res.data.id, { type: "json" });
+  assert.deepEqual([stored.confirmation_email.status, stored.confirmation_email.error], ["failed", "mailbox unavailable"]);
+});
+
+/**
+ * Plaintext SMTP server that never offers STARTTLS.
+ * -> { port, commands: [verb], close }
+ */
+async function startPlainSmtp() {
+  const commands = [];
+  const server = net.createServer((socket) => {
+    let buf = "";
+    let inData = false;
+    socket.write("220 test ESMTP\r\n");
+    socket.on("data", (chunk) => {
+      buf += chunk.toString("utf8");
+      if (inData) {
+        const end = buf.indexOf("\r\n.\r\n");
+        if (end === -1) return;
+        buf = buf.slice(end + 5);
+        inData = false;
+        socket.write("250 queued\r\n");
+      }
+      let idx;
+      while (!inData && (idx = buf.indexOf("\r\n")) !== -1) {
+        const line = buf.slice(0, idx);
+        buf = buf.slice(idx + 2);
+        const verb = line.split(/[\s:]/)[0].toUpperCase();
+        commands.push(verb);
+        if (verb === "EHLO") socket.write("250-test\r\n250 8BITMIME\r\n");
+        else if (verb === "AUTH") socket.write("235 ok\r\n");
+        else if (verb === "DATA") {
+          inData = true;
+          socket.write("354 go ahead\r\n");
+        } else if (verb === "QUIT") socket.end("221 bye\r\n");
+        else socket.write("250 ok\r\n");
+      }
+    });
+    socket.on("error", () => {});
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return {
+    port: server.address().port,
+    commands,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+const SMTP_ENV = ["SMTP_HOST", "SMTP_PORT", "SMTP_SECURE", "SMTP_FROM", "SMTP_USER", "SMTP_PASS", "SMTP_ALLOW_PLAINTEXT"];
+
+async function withPlainSmtp(env, fn) {
+  const smtp = await startPlainSmtp();
+  setMailTransport(null);
+  Object.assign(process.env, { SMTP_HOST: "127.0.0.1", SMTP_PORT: String(smtp.port), SMTP_FROM: "studio@example.com" }, env);
+  try {
+    await fn(smtp);
+  } finally {
+    for (const k of SMTP_ENV) delete process.env[k];
+    await smtp.close();
+  }
+}
+
+const MESSAGE = { to: "client@example.com", subject: "Hello", text: "Hi" };
+
+test("SMTP refuses to send credentials when the server has no STARTTLS", async () => {
+  await withPlainSmtp({ SMTP_USER: "studio@example.com", SMTP_PASS: "secret", SMTP_ALLOW_PLAINTEXT: "true" }, async (smtp) => {
+    await assert.rejects(sendMail(MESSAGE), /refusing to send credentials in cleartext/);
+    assert.deepEqual(smtp.commands, ["EHLO"]);
+  });
+});
+
+test("SMTP without STARTTLS sends only to an explicitly allowed relay", async () => {
+  await withPlainSmtp({}, async (smtp) => {
+    await assert.rejects(sendMail(MESSAGE), /does not offer STARTTLS/);
+    assert.ok(!smtp.commands.includes("MAIL"));
+  });
+  await withPlainSmtp({ SMTP_ALLOW_PLAINTEXT: "true" }, async (smtp) => {
+    const res = await sendMail(MESSAGE);
+    assert.equal(res.ok, true);
+    assert.deepEqual(smtp.commands, ["EHLO", "MAIL", "RCPT", "DATA", "QUIT"]);
+  });
+});